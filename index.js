@@ -1,186 +1,183 @@
 #!/usr/bin/env node
-const fs = require('fs')
 const process = require('process')
-const path = require('path');
 const chalk = require('chalk');
-const chokidar = require('chokidar');
-const sassBin = require.resolve('sass-bin/src/sass');
-const execa = require('execa');
-const handler = require('serve-handler');
-const http = require('http');
-const portfinder = require('portfinder');
-const Spinnies = require('spinnies');
-const postcss = require('postcss');
-const autoprefixer = require('autoprefixer');
-const esbuild = require('esbuild');
-
-// Spinnies is used to inform the user of build status.
-// It allows us to output one message per built file and
-// update the same message when the status of a build changes.
-// However, any spinner which is complete or failed is removed
-// automatically which leads to a new line every time a file
-// is built, and persistent error messages. To avoid this,
-// make the "spinner" which prepends the message blank and
-// never mark a spinner as complete, just update its message.
-const spinnies = new Spinnies({
-	 spinner: {
-		  "interval": 30,
-		  "frames": ['']
+const { loadConfig } = require('./lib/config');
+const { createWorkshop } = require('./lib/workshop');
+const { build: buildOnce, buildFlags } = require('./lib/build');
+const { exportFlags, buildForExport, exportPrototype } = require('./lib/export');
+const { init, initFlags } = require('./lib/init');
+const { add } = require('./lib/add');
+const { createReporter } = require('./lib/reporters');
+const { exceedsErrorBudget } = require('./lib/sizes');
+const { untargetedNotice } = require('./lib/targets');
+
+// Command line flags for the `test` command. They are here, rather than
+// in `lib/test-runner.js`, so the test runner is only loaded to run tests.
+const testFlags = {
+	 watch: { type: 'boolean', default: false }
+};
+
+/**
+ * Run the `ow` command line interface.
+ */
+async function cli() {
+	 // Get the command to run, e.g. `ow build`. With no command Sass,
+	 // JavaScript, and HTML are built on change and served.
+	 const args = process.argv.slice(2);
+	 const command = args[0] && !args[0].startsWith('-') ? args.shift() : null;
+	 const commands = { build: buildFlags, export: exportFlags, test: testFlags, init: initFlags, add: {} };
+	 if (command && !commands[command]) {
+		  console.error(chalk.red(`Unknown command "${command}". Valid commands are: ${Object.keys(commands).join(', ')}.`));
+		  process.exit(1);
+	 }
+	 // Get the component to add, e.g. `ow add o-buttons`.
+	 const component = command === 'add' && args[0] && !args[0].startsWith('-') ? args.shift() : null;
+	 if (command === 'add' && !component) {
+		  console.error(chalk.red('Missing the component to add, e.g. "ow add o-buttons".'));
+		  process.exit(1);
 	 }
-});
-
-(async () => {
-	 const index = 'index.html';
-	 const sass = 'src/main.scss';
-	 const js = 'src/main.js';
-	 const public = 'public';
-	 const tutorialUrl = 'https://origami.ft.com/documentation/tutorials/manual-build/';
-
-	 // Create a public directory if one does not exist.
-	 fs.mkdirSync(path.resolve(process.cwd(), public), { recursive: true });
-
-	 // Start a server for the public directory.
-	 const server = http.createServer((request, response) => {
-		  return handler(request, response, { public });
-	 }, { public })
-
-	 const port = await portfinder.getPortPromise({ port: 3000 });
-	 server.listen(port, () => {
-		  console.log(chalk.green(
-				`Building Sass, JavaScript, and serving HTML for the Origami manual build tutorial!\n${tutorialUrl}\n\nYour code is running at: http://localhost:${port}\n`
-		  ));
-	 });
 
-	 // Notify the user if an index.html wasn't found, they need to add one.
-	 // Use `spinnies` so we can replace the message when index.html is added.
-	 const indexStats = fs.existsSync(index) ? fs.statSync(index) : null;
-	 if (!indexStats || !indexStats.isFile()) {
-		  spinnies.add(index, {
-				text: '! your web page won\'t be visible until we create index.html'
-		  });
+	 // Get the files to build from a config file or command line flags.
+	 let config;
+	 try {
+		  config = loadConfig(args, { flags: commands[command] });
+	 } catch (error) {
+		  console.error(chalk.red(error.message));
+		  process.exit(1);
 	 }
 
-	 // Listen for changes to HTML, Sass, or Js. Rebuild on changes.
-	 // Keep track of subprocesses used for bundling so a build can be
-	 // cancelled if a file is changed multiple times before the previous build
-	 // has finished.
-	 const subprocesses = {};
-	 chokidar.watch([index, sass, js]).on('all', async (event, file) => {
+	 // Create a starter project and exit.
+	 if (command === 'init') {
 		  try {
-				// Notify the user the file is being built.
-				const buildingMessage = `- building ${file}`;
-				try {
-					 spinnies.update(file, { text: buildingMessage });
-				} catch (error) {
-					 spinnies.add(file, { text: buildingMessage });
-				}
-
-				// Cancel any subprocess which is already running
-				// for the file being built.
-				if (subprocesses[file]) {
-					 subprocesses[file].cancel();
-				}
-
-				// If the Sass or JavaScript source file has been removed, then remove
-				// the spinner which notifies the user of build progress.
-				if ((file == sass || file == js) && event === 'unlink') {
-					 spinnies.remove(file);
-					 return;
+				for (const file of init(config)) {
+					 console.log(chalk.green(`√ created ${file}`));
 				}
+		  } catch (error) {
+				console.error(chalk.red(error.message));
+				process.exit(1);
+		  }
+		  console.log(`\nRun "npm install" to install Origami components, then "npm start" to build and serve your project.`);
+		  process.exit(0);
+	 }
 
-				// If the HTML source file has been removed, then update
-				// the spinner to notify the user. We always expect an index.html
-				// to present the users work.
-				if (file == index && event === 'unlink') {
-					 spinnies.update(file, { text: '! missing index.html' });
-					 return;
+	 // Add an Origami component to the project and exit.
+	 if (command === 'add') {
+		  try {
+				for (const { file, edits, notice } of await add(config, component)) {
+					 console.log(edits ? chalk.green(`√ ${edits.join(', ')} in ${file}`) : `- ${notice}`);
 				}
+		  } catch (error) {
+				console.error(chalk.red(`× error adding ${component}\n ${error.message}`));
+				process.exit(1);
+		  }
+		  process.exit(0);
+	 }
 
-				// Build CSS.
-				if (file == sass) {
-					 // Parse Sass to CSS.
-					 subprocesses[file] = execa(sassBin, [
-						  sass,
-						  '--embed-source-map',
-						  '--source-map-urls',
-						  'absolute',
-						  '--load-path',
-						  'node_modules'
-					 ]);
-					 let { stdout: css } = await subprocesses[file];
-
-					 // Run CSS through PostCSS/autoprefixer.
-					 // Many components use `appearance: none;` which needs vendor prefixes.
-
-					 // PostCSS does not parse the charset unless it is also base64.
-					 // Remove this code when PostCSS release a fix.
-					 // https://github.com/postcss/postcss/issues/1281#issuecomment-599626666
-					 css = css.replace(
-						  `application/json;charset=utf-8,`,
-						  `application/json,`
-					 );
-
-					 // Get the PostCSS result.
-					 const result = await postcss(autoprefixer({
-						  overrideBrowserslist: [
-								'> 1%',
-								'last 2 versions',
-								'ie >= 11'
-						  ],
-						  cascade: false,
-						  flexbox: 'no-2009',
-						  grid: true
-					 })).process(css, {
-						  from: sass,
-						  to: path.resolve(process.cwd(), `${public}/main.css`),
-						  map: { inline: true }
-					 });
-
-					 // Write CSS to file.
-					 fs.writeFileSync(
-						  path.resolve(process.cwd(), `${public}/main.css`),
-						  result.css
-					 );
-
-					 // Update the spinner status.
-					 spinnies.update(file, { text: `√ built ${file}` });
+	 // Report build status, e.g. with a message per file which is updated
+	 // in place, or as JSON for other tools. Commands which exit once done
+	 // report a line per event, the spinner would exit before it is drawn.
+	 const exitsOnceDone = ['build', 'export'].includes(command) || (command === 'test' && !config.watch);
+	 const reporter = createReporter(config.reporter || (exitsOnceDone ? 'plain' : null), { warnings: config.warnings });
+	 // Tell the user which browsers JavaScript is not transpiled for.
+	 const reportTargets = () => {
+		  const notice = config.js.length ? untargetedNotice(config.browserslist) : null;
+		  if (notice) {
+				reporter.notice('browserslist', notice);
+		  }
+	 };
+
+	 // Build once and exit, with a non-zero exit code if any build failed
+	 // or a built file is over its error budget.
+	 if (command === 'build') {
+		  const results = await buildOnce(config);
+		  for (const result of results) {
+				if (result.error) {
+					 reporter.error(result.file, result.error);
+				} else {
+					 reporter.success(result.file, result);
 				}
+		  }
+		  reportTargets();
+		  process.exit(results.some(result => result.error || exceedsErrorBudget(result)) ? 1 : 0);
+	 }
 
-				// Build JavaScript.
-				if (file == js) {
-					 await esbuild.build({
-						  entryPoints: [js],
-						  bundle: true,
-						  sourcemap: true,
-						  outfile: path.resolve(process.cwd(), `${public}/main.js`)
-					 });
-					 spinnies.update(file, { text: `√ built ${file}` });
+	 // Build once, then export the prototype as a single HTML file or a zip
+	 // to send to others. Nothing is exported if any build failed.
+	 if (command === 'export') {
+		  const results = await buildForExport(config);
+		  for (const result of results) {
+				if (result.error) {
+					 reporter.error(result.file, result.error);
+				} else {
+					 reporter.success(result.file, result);
 				}
-
-				// Build HTML: copy it to the public directory.
-				if (file == index) {
-					 try {
-						  fs.copyFileSync(file, `${public}/index.html`);
-					 } catch (error) {
-						  error = error.code === 'ENOTSUP' && error.path === 'index.html' ?
-								new Error('Could not copy "index.html". Is it a file?') :
-								error;
-						  throw error;
-					 }
-					 spinnies.update(file, { text: `√ built ${file}` });
+		  }
+		  reportTargets();
+		  if (results.some(result => result.error)) {
+				process.exit(1);
+		  }
+		  try {
+				const start = Date.now();
+				const { output, notices } = exportPrototype(config, results);
+				reporter.success(config.out, { action: 'exported', outputs: [output], duration: Date.now() - start });
+				for (const notice of notices) {
+					 reporter.notice(output, notice);
 				}
 		  } catch (error) {
-				// Ignore cancelled subprocess.
-				if (error.isCanceled){
-					 return;
-				}
-				// If there was an error with a subprocess that had no output, exit.
-				if (error.failed && (!error.stderr && !error.stdout)) {
-					 console.error(chalk.red(`There was an unexpected error building ${file}:\n\n${error.message}`));
-					 process.exit(1);
-				}
-				// Output other errors without existing, such as compilation errors.
-				spinnies.update(file, { text: chalk.red(`× error building ${file}\n ${error.stderr || error.stdout || error.message}`) });
+				reporter.error(config.out, error, 'exporting');
+				process.exit(1);
+		  }
+		  process.exit(0);
+	 }
+
+	 // Run Sass and JavaScript tests once and exit, with a non-zero exit code
+	 // if any failed. With `--watch` tests are run again when they change.
+	 if (command === 'test') {
+		  const { runTests, watchTests } = require('./lib/test-runner');
+		  const report = result => result.error ?
+				reporter.error(result.file, result.error, 'testing') :
+				reporter.success(result.file, result);
+		  if (config.watch) {
+				watchTests(config).events
+					 .on('test-start', ({ file }) => reporter.start(file, 'testing'))
+					 .on('test-result', report)
+					 .on('test-removed', ({ file }) => reporter.remove(file));
+				return;
+		  }
+		  const results = await runTests(config);
+		  if (!results.length) {
+				console.error(chalk.red('There are no tests. Add Sass tests, e.g. test/main.test.scss, or JavaScript tests, e.g. test/main.test.js.'));
+				process.exit(1);
 		  }
+		  results.forEach(report);
+		  process.exit(results.some(result => result.error) ? 1 : 0);
+	 }
+
+	 // Build Sass, JavaScript, and HTML on change and serve them.
+	 const workshop = createWorkshop(config);
+	 workshop.events
+		  .on('build-start', ({ file }) => reporter.start(file))
+		  .on('build-success', ({ file, ...result }) => reporter.success(file, result))
+		  .on('build-error', ({ file, error, action }) => reporter.error(file, error, action))
+		  .on('notice', ({ file, message }) => reporter.notice(file, message))
+		  .on('file-removed', ({ file }) => reporter.remove(file))
+		  .on('listening', ({ url, networkUrls, componentsUrl, certificate }) => reporter.listening({ url, networkUrls, componentsUrl, certificate }));
+	 try {
+		  await workshop.start();
+	 } catch (error) {
+		  console.error(chalk.red(error.message));
+		  process.exit(1);
+	 }
+}
+
+// Run the command line interface when run as `ow`, rather than required.
+if (require.main === module) {
+	 cli().catch(error => {
+		  console.error(chalk.red(error.message));
+		  process.exit(1);
 	 });
-})();
+}
+
+module.exports = {
+	 createWorkshop
+};
@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { readComponent, visibleDemos, renderDemo } = require('./components');
+
+// Origami components are published under this npm scope.
+const scope = '@financial-times';
+
+/**
+ * Check whether a component to add is a tarball rather than a name,
+ * e.g. "./o-buttons-7.11.1.tgz".
+ * @param {String} component
+ * @returns {Boolean}
+ */
+function isTarball(component) {
+	 return /\.(tgz|tar\.gz)$/.test(component);
+}
+
+/**
+ * Get the package name of a component, e.g. "@financial-times/o-buttons"
+ * for "o-buttons" or "@financial-times/o-buttons@^7.0.0".
+ * @param {String} component
+ * @returns {String}
+ */
+function packageName(component) {
+	 const name = component.replace(/(.)@.*$/, '$1');
+	 return name.startsWith('@') ? name : `${scope}/${name}`;
+}
+
+/**
+ * Get the name of a component's primary mixin, e.g. "oButtons" for
+ * "@financial-times/o-buttons".
+ * @param {String} name - the package name
+ * @returns {String}
+ */
+function mixinName(name) {
+	 return name.split('/').pop().replace(/-([a-z0-9])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeRegExp(text) {
+	 return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Install a component with npm.
+ * @param {String} spec - a package name, version range, or tarball
+ * @param {Object} config - see `lib/config.js`
+ */
+async function install(spec, config) {
+	 const args = ['install', spec, '--no-audit', '--no-fund'];
+	 if (config.registry) {
+		  args.push('--registry', config.registry);
+	 }
+	 try {
+		  await promisify(execFile)('npm', args, { shell: process.platform === 'win32' });
+	 } catch (error) {
+		  throw new Error(`Could not install ${spec}:\n${error.stderr || error.message}`);
+	 }
+}
+
+/**
+ * Find the name of a component installed from a tarball, from the
+ * dependency npm added to the project's package.json.
+ * @param {String} tarball
+ * @returns {String}
+ */
+function tarballName(tarball) {
+	 const manifest = JSON.parse(fs.readFileSync('package.json', 'utf8'));
+	 const dependencies = Object.assign({}, manifest.devDependencies, manifest.dependencies);
+	 const name = Object.keys(dependencies).find(name => dependencies[name].endsWith(path.basename(tarball)));
+	 if (!name) {
+		  throw new Error(`Could not find the package installed from ${tarball}.`);
+	 }
+	 return name;
+}
+
+/**
+ * Import a component's Sass and include its primary mixin.
+ * @param {String} source - the Sass entry point
+ * @param {String} name - the package name
+ * @returns {Object} - the new source and the edits made
+ */
+function addSass(source, name) {
+	 const lines = source.split('\n');
+	 const edits = [];
+	 const importLine = `@import '${name}/main';`;
+	 const includeLine = `@include ${mixinName(name)}();`;
+	 // Components are imported after the system code is set and other
+	 // imports, their mixins are included after other includes.
+	 const lastLine = pattern => lines.reduce((last, line, index) => pattern.test(line) ? index : last, -1);
+	 let importIndex = lastLine(new RegExp(`^@(import|use) +['"]${escapeRegExp(name)}(/main)?(\\.scss)?['"]`));
+	 if (importIndex === -1) {
+		  importIndex = lastLine(/^(@import|@use|\$system-code)\b/) + 1;
+		  lines.splice(importIndex, 0, importLine);
+		  edits.push(`imported ${name}`);
+	 }
+	 if (!new RegExp(`@include +${escapeRegExp(mixinName(name))}\\b`).test(source)) {
+		  const includeIndex = Math.max(lastLine(/^@include\b/), importIndex) + 1;
+		  lines.splice(includeIndex, 0, includeLine);
+		  edits.push(`included ${mixinName(name)}()`);
+	 }
+	 return { source: lines.join('\n'), edits };
+}
+
+/**
+ * Import a component's JavaScript. Origami components initialise on
+ * the `o.DOMContentLoaded` event, which is dispatched if it isn't already.
+ * @param {String} source - the JavaScript entry point
+ * @param {String} name - the package name
+ * @returns {Object} - the new source and the edits made
+ */
+function addJs(source, name) {
+	 const edits = [];
+	 if (!new RegExp(`(import|require\\() *['"]${escapeRegExp(name)}['"]|from +['"]${escapeRegExp(name)}['"]`).test(source)) {
+		  const lines = source.split('\n');
+		  const importIndex = lines.reduce((last, line, index) => /^import\b/.test(line) ? index : last, -1) + 1;
+		  // Separate the first import from the code after it.
+		  lines.splice(importIndex, 0, ...importIndex === 0 && lines[0].trim() ? [`import '${name}';`, ''] : [`import '${name}';`]);
+		  source = lines.join('\n');
+		  edits.push(`imported ${name}`);
+	 }
+	 if (!source.includes('o.DOMContentLoaded')) {
+		  source = [
+				source.trimEnd(),
+				'',
+				'// Origami components initialise on the "o.DOMContentLoaded" event.',
+				'document.addEventListener(\'DOMContentLoaded\', function () {',
+				'\tdocument.dispatchEvent(new CustomEvent(\'o.DOMContentLoaded\'));',
+				'});',
+				''
+		  ].join('\n').trimStart();
+		  edits.push('initialised components on the "o.DOMContentLoaded" event');
+	 }
+	 return { source, edits };
+}
+
+/**
+ * Add the markup of a component's first demo to an HTML page.
+ * The demo is marked with a comment so it is only added once.
+ * @param {String} source - the HTML page
+ * @param {Object} component - see `readComponent` in `lib/components.js`
+ * @param {String} name - the package name
+ * @returns {Object} - the new source and the edits made
+ */
+function addDemo(source, component, name) {
+	 const marker = `<!-- ${name.split('/').pop()} demo`;
+	 if (source.includes(marker)) {
+		  return { source, edits: [] };
+	 }
+	 const demo = visibleDemos(component.origami)[0];
+	 const markup = renderDemo(component, demo);
+	 // Add the demo at the end of the main content, or the page.
+	 const closing = source.match(/^([ \t]*)<\/main>/m) || source.match(/^([ \t]*)<\/body>/m);
+	 const indent = closing ? `${closing[1]}\t` : '';
+	 const lines = [`${marker}: ${demo.title || demo.name} -->`, ...markup.split('\n')]
+		  .map(line => line.trim() ? `${indent}${line}` : line);
+	 const index = closing ? closing.index : source.length;
+	 source = `${source.slice(0, index)}${lines.join('\n')}\n${source.slice(index)}`;
+	 return { source, edits: [`added the "${demo.title || demo.name}" demo`] };
+}
+
+/**
+ * Install an Origami component if it isn't installed, then add it to the
+ * project's Sass, JavaScript, and HTML: import its Sass and include its
+ * primary mixin, import its JavaScript, and add its demo markup to the page.
+ * Edits which have already been made are not made again.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} component - a component name e.g. "o-buttons", with an
+ *     optional version e.g. "o-buttons@^7.0.0", or a path to a tarball
+ * @returns {Promise<Array<Object>>} - what was done to each file, with the
+ *     `file` and either the `edits` made or a `notice` of why it was not edited
+ */
+async function add(config, component) {
+	 const results = [];
+	 let name = isTarball(component) ? null : packageName(component);
+	 if (!name || !fs.existsSync(path.resolve('node_modules', name, 'package.json'))) {
+		  await install(isTarball(component) || component.startsWith('@') ? component : `${scope}/${component}`, config);
+		  name = name || tarballName(component);
+		  results.push({ file: 'package.json', edits: [`installed ${name}`] });
+	 }
+	 const installed = readComponent(name);
+	 const has = file => fs.existsSync(path.join(installed.directory, file));
+	 const edit = (file, addTo) => {
+		  if (!fs.existsSync(file)) {
+				results.push({ file, notice: `${file} does not exist` });
+				return;
+		  }
+		  const original = fs.readFileSync(file, 'utf8');
+		  const { source, edits } = addTo(original);
+		  if (source !== original) {
+				fs.writeFileSync(file, source);
+		  }
+		  results.push(edits.length ? { file, edits } : { file, notice: `${file} already has ${name}` });
+	 };
+	 if (has('main.scss')) {
+		  edit(config.sass[0], source => addSass(source, name));
+	 }
+	 if (installed.manifest.browser || installed.manifest.module || installed.manifest.main || has('main.js')) {
+		  edit(config.js[0], source => addJs(source, name));
+	 }
+	 if (visibleDemos(installed.origami).length) {
+		  edit(config.html, source => addDemo(source, installed, name));
+	 }
+	 return results;
+}
+
+module.exports = {
+	 add
+};
@@ -0,0 +1,150 @@
+const fs = require('fs');
+const path = require('path');
+
+// Extensions of files which may be imported from the assets directory
+// in JavaScript. The import is the url of the copied asset.
+const assetExtensions = /\.(png|jpe?g|gif|svg|webp|avif|ico|bmp|woff2?|ttf|otf|eot|mp4|webm|ogg|mp3|wav|pdf|txt)$/i;
+
+/**
+ * Check whether a file is in the assets directory.
+ * @param {String} file
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Boolean}
+ */
+function isAsset(file, config) {
+	 const relative = path.relative(path.resolve(config.assets), path.resolve(file));
+	 return Boolean(relative) && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Get where an asset is copied to. The assets directory is
+ * mirrored in the output directory, e.g. `src/assets/logo.png`
+ * is copied to `public/assets/logo.png`.
+ * @param {String} file - a file in the assets directory
+ * @param {Object} config - see `lib/config.js`
+ * @returns {String}
+ */
+function assetOutput(file, config) {
+	 return path.join(config.out, path.basename(config.assets), path.relative(config.assets, file));
+}
+
+/**
+ * Copy every file in the assets directory to the output directory.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} [directory] - the directory to copy
+ * @returns {Array<String>} - the copied files
+ */
+function copyAssets(config, directory = config.assets) {
+	 if (!fs.existsSync(directory)) {
+		  return [];
+	 }
+	 const copied = [];
+	 for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+		  const file = path.join(directory, entry.name);
+		  if (entry.isDirectory()) {
+				copied.push(...copyAssets(config, file));
+		  } else if (entry.isFile()) {
+				copyAsset(file, config);
+				copied.push(file);
+		  }
+	 }
+	 return copied;
+}
+
+/**
+ * Copy an asset to the output directory.
+ * @param {String} file - a file in the assets directory
+ * @param {Object} config - see `lib/config.js`
+ */
+function copyAsset(file, config) {
+	 const output = assetOutput(file, config);
+	 fs.mkdirSync(path.dirname(output), { recursive: true });
+	 fs.copyFileSync(file, output);
+}
+
+/**
+ * A PostCSS plugin which updates `url()` references to files in the
+ * assets directory to point to the copied asset. References are
+ * resolved relative to the Sass file they were written in, where a
+ * source map is available, or the Sass entry point.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} from - the Sass entry point
+ * @param {String} to - the CSS file being built
+ * @returns {Object} - a PostCSS plugin
+ */
+function assetUrls(config, from, to) {
+	 const resolve = (url, directories) => {
+		  for (const directory of directories) {
+				const file = path.resolve(directory, url);
+				if (isAsset(file, config) && fs.existsSync(file)) {
+					 return file;
+				}
+		  }
+		  return null;
+	 };
+	 return {
+		  postcssPlugin: 'origami-workshop-asset-urls',
+		  Declaration(declaration) {
+				if (!declaration.value.includes('url(')) {
+					 return;
+				}
+				const directories = [path.dirname(path.resolve(from))];
+				const { start, input } = declaration.source || {};
+				const origin = start && input && input.origin(start.line, start.column - 1);
+				if (origin && origin.file) {
+					 directories.unshift(path.dirname(origin.file));
+				}
+				declaration.value = declaration.value.replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (reference, quote, url) => {
+					 if (/^([a-z]+:|\/|#)/i.test(url)) {
+						  return reference;
+					 }
+					 const [, file, suffix] = url.match(/^([^?#]*)(.*)$/);
+					 const asset = resolve(file, directories);
+					 if (!asset) {
+						  return reference;
+					 }
+					 const relative = path.relative(path.dirname(path.resolve(to)), path.resolve(assetOutput(asset, config)));
+					 return `url(${quote}${relative.split(path.sep).join('/')}${suffix}${quote})`;
+				});
+		  }
+	 };
+}
+
+/**
+ * An esbuild plugin which resolves imports of files in the assets
+ * directory, e.g. `import logo from './assets/logo.png'`, to the
+ * root relative url of the copied asset, e.g. `/assets/logo.png`.
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Object} - an esbuild plugin
+ */
+function esbuildAssets(config) {
+	 return {
+		  name: 'origami-workshop-assets',
+		  setup(build) {
+				build.onResolve({ filter: assetExtensions }, args => {
+					 const file = path.resolve(args.resolveDir, args.path);
+					 if (!/^\.\.?\//.test(args.path) || !isAsset(file, config)) {
+						  return undefined;
+					 }
+					 return { path: file, namespace: 'origami-workshop-asset' };
+				});
+				build.onLoad({ filter: /.*/, namespace: 'origami-workshop-asset' }, args => {
+					 const output = path.relative(config.out, assetOutput(args.path, config));
+					 const url = `/${output.split(path.sep).join('/')}`;
+					 return {
+						  contents: `export default ${JSON.stringify(url)};`,
+						  loader: 'js'
+					 };
+				});
+		  }
+	 };
+}
+
+module.exports = {
+	 isAsset,
+	 assetOutput,
+	 copyAsset,
+	 copyAssets,
+	 assetUrls,
+	 esbuildAssets
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+// The number of lines to show either side of an error.
+const frameLines = 2;
+
+/**
+ * Show the code around a line and column of a file, with the
+ * line and column of the error marked.
+ * @param {String} file
+ * @param {Number} line - 1 based line number
+ * @param {Number} column - 1 based column number
+ * @returns {String|null} - null if the file could not be read
+ */
+function codeFrame(file, line, column) {
+	 let source;
+	 try {
+		  source = fs.readFileSync(file, 'utf8');
+	 } catch (error) {
+		  return null;
+	 }
+	 const lines = source.split(/\r?\n/);
+	 const start = Math.max(line - frameLines, 1);
+	 const end = Math.min(line + frameLines, lines.length);
+	 const gutterWidth = String(end).length;
+	 const frame = [];
+	 for (let number = start; number <= end; number++) {
+		  const marker = number === line ? '>' : ' ';
+		  const gutter = String(number).padStart(gutterWidth);
+		  frame.push(`${marker} ${gutter} | ${lines[number - 1]}`);
+		  if (number === line) {
+				frame.push(`  ${' '.repeat(gutterWidth)} | ${' '.repeat(Math.max(column - 1, 0))}^`);
+		  }
+	 }
+	 return frame.join('\n');
+}
+
+/**
+ * Get structured errors from the exception thrown by a failed Sass
+ * compile. Sass lines and columns are 0 based, these are converted to
+ * 1 based lines and columns to match esbuild.
+ * @param {Error} error - the `sass.Exception` thrown by the compiler
+ * @param {String} file - the Sass file which was built
+ * @returns {Array<Object>}
+ */
+function sassErrors(error, file) {
+	 const message = error.sassMessage || error.message;
+	 if (!error.span || !error.span.url || error.span.url.protocol !== 'file:') {
+		  return [{ file, message }];
+	 }
+	 const errorFile = path.relative(process.cwd(), fileURLToPath(error.span.url));
+	 const line = error.span.start.line + 1;
+	 const column = error.span.start.column + 1;
+	 return [{
+		  file: errorFile,
+		  line,
+		  column,
+		  message,
+		  frame: codeFrame(errorFile, line, column) || error.span.context || null
+	 }];
+}
+
+/**
+ * Get structured errors from a failed esbuild build.
+ * esbuild columns are 0 based, these are converted to
+ * 1 based columns to match Sass. Errors for syntax which can not be
+ * transpiled for the configured browsers explain how to fix them.
+ * @param {Error} error - the error thrown by `esbuild.build`
+ * @param {String} file - the JavaScript file which was built
+ * @returns {Array<Object>}
+ */
+function esbuildErrors(error, file) {
+	 return error.errors.map(({ text, location }) => {
+		  if (text.includes('the configured target environment')) {
+				text = `${text}. This syntax can not be transpiled for the browsers in the "browserslist" option, remove it or support fewer browsers.`;
+		  }
+		  if (!location) {
+				return { file, message: text };
+		  }
+		  const line = location.line;
+		  const column = location.column + 1;
+		  return {
+				file: location.file,
+				line,
+				column,
+				message: text,
+				frame: codeFrame(location.file, line, column) || location.lineText
+		  };
+	 });
+}
+
+/**
+ * Get structured errors from any failed build.
+ * @param {Error} error
+ * @param {String} file - the file which failed to build
+ * @returns {Array<Object>}
+ */
+function buildErrors(error, file) {
+	 if (error.errors) {
+		  return esbuildErrors(error, file);
+	 }
+	 if (error.sassMessage) {
+		  return sassErrors(error, file);
+	 }
+	 return [{ file, message: error.message }];
+}
+
+/**
+ * Describe a failed build for the terminal.
+ * esbuild errors are listed with their location, other errors
+ * are described by their message, which for Sass includes the
+ * location and the code around it.
+ * @param {Error} error
+ * @param {String} file - the file which failed to build
+ * @returns {String}
+ */
+function errorMessage(error, file) {
+	 if (error.errors) {
+		  return esbuildErrors(error, file)
+				.map(({ file, line, column, message }) => line ? `${file}:${line}:${column}: ${message}` : message)
+				.join('\n ');
+	 }
+	 return error.message;
+}
+
+module.exports = {
+	 buildErrors,
+	 codeFrame,
+	 errorMessage,
+	 sassErrors,
+	 esbuildErrors
+};
@@ -0,0 +1,210 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const esbuild = require('esbuild');
+const { processCss } = require('./sass');
+const { outputName, cssOutputs } = require('./config');
+const { assetUrls, esbuildAssets } = require('./assets');
+const { esbuildTargets } = require('./targets');
+const { esbuildWarnings, postcssWarnings } = require('./build-warnings');
+const { sassDependencies } = require('./sass-dependencies');
+const { packageSizes } = require('./sizes');
+
+/**
+ * @param {String} contents
+ * @returns {String} - a short hash of file contents for cache busting
+ */
+function contentHash(contents) {
+	 return crypto.createHash('sha256').update(contents).digest('hex').slice(0, 8);
+}
+
+/**
+ * Write a built file and its source map to the output directory.
+ * @param {Object} options
+ * @param {String} options.out - the output directory
+ * @param {String} options.name - the file name, e.g. "main.css"
+ * @param {String} options.contents - the built file
+ * @param {String} [options.map] - an external source map for the built file
+ * @param {Boolean} [options.hash] - add a content hash to the file name
+ * @param {Function} options.mapComment - get a `sourceMappingURL` comment for a map file name
+ * @returns {String} - the name of the written file
+ */
+function writeOutput({ out, name, contents, map, hash, mapComment }) {
+	 const { name: base, ext } = path.parse(name);
+	 const fileName = hash ? `${base}.${contentHash(contents)}${ext}` : name;
+	 if (map) {
+		  contents = `${contents.trimEnd()}\n${mapComment(`${fileName}.map`)}\n`;
+		  fs.writeFileSync(path.resolve(out, `${fileName}.map`), map);
+	 }
+	 fs.writeFileSync(path.resolve(out, fileName), contents);
+	 return fileName;
+}
+
+/**
+ * Get esbuild options to bundle JavaScript for the browsers in the
+ * `browserslist` option, with imported assets resolved to their urls.
+ * Bundles are returned rather than written.
+ * @param {Object} config - see `lib/config.js`
+ * @param {Object} [options] - more esbuild options, e.g. `entryPoints`
+ * @returns {Object}
+ */
+function esbuildOptions(config, options = {}) {
+	 return Object.assign({
+		  // esbuild keeps the working directory it started in, which
+		  // may not be the project's when the workshop is required.
+		  absWorkingDir: process.cwd(),
+		  bundle: true,
+		  target: esbuildTargets(config.browserslist),
+		  write: false,
+		  metafile: true,
+		  logLevel: 'silent',
+		  plugins: [esbuildAssets(config)]
+	 }, options);
+}
+
+/**
+ * Get esbuild options to bundle a JavaScript entry point to the output directory.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} file - the JavaScript entry point
+ * @param {Object} [options] - see `buildJs`
+ * @returns {Object}
+ */
+function entryPointOptions(config, file, { sourcemap = 'external', minify = false } = {}) {
+	 return esbuildOptions(config, {
+		  entryPoints: [file],
+		  minify,
+		  sourcemap: sourcemap === 'none' ? false : sourcemap,
+		  outfile: path.resolve(config.out, outputName(file, '.js'))
+	 });
+}
+
+/**
+ * Create an incremental esbuild context for a JavaScript entry point,
+ * so rebuilds only redo the work for what has changed.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} file - the JavaScript entry point
+ * @param {Object} [options] - see `buildJs`
+ * @returns {Promise<Object>} - the context, to pass to `buildJs`
+ */
+function createEsbuildContext(config, file, options) {
+	 return esbuild.context(entryPointOptions(config, file, options));
+}
+
+/**
+ * Build Sass to CSS in the output directory, once for each brand
+ * if brands are configured. Nothing is written unless every brand builds.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} file - the Sass entry point
+ * @param {Object} sassCompiler - see `createSassCompiler` in `lib/sass.js`
+ * @param {Object} [options]
+ * @param {String} [options.sourcemap] - "inline", "external", or "none"
+ * @param {Boolean} [options.minify] - output compressed CSS
+ * @param {Boolean} [options.hash] - add a content hash to file names
+ * @param {Function} [options.check] - called after each asynchronous step,
+ *     it throws to stop the build, see `check` in `lib/cancellable.js`
+ * @returns {Promise<Object>} - the names of the `built` CSS files, by the
+ *     name they would have without a content hash, the `warnings` from
+ *     Sass and PostCSS, and the files the Sass `loaded`. If the Sass can't
+ *     be compiled, the error has the files it tries to load as `loaded`.
+ */
+async function buildCss(config, file, sassCompiler, { sourcemap = 'inline', minify = false, hash = false, check = () => {} } = {}) {
+	 const sourceMap = sourcemap === 'none' ? false : sourcemap;
+	 const results = [];
+	 const warnings = [];
+	 const loaded = new Set();
+	 for (const { brand, names } of cssOutputs(file, config)) {
+		  const to = path.resolve(config.out, names[0]);
+
+		  // Parse Sass to CSS. The compiler can not stop a compile part way
+		  // through, so the result of a cancelled build is ignored instead.
+		  let compiled;
+		  try {
+				compiled = await sassCompiler.compile(file, { sourceMap: Boolean(sourceMap), minify, brand });
+		  } catch (error) {
+				// The compiler only reports the files it loaded for successful
+				// compiles. Find the files the Sass tries to load instead,
+				// including missing partials, so fixing them rebuilds it.
+				error.loaded = sassDependencies(file, { loadPaths: ['node_modules'] });
+				throw error;
+		  }
+		  check();
+		  compiled.loadedFiles.forEach(loadedFile => loaded.add(loadedFile));
+
+		  // Run CSS through PostCSS/autoprefixer.
+		  const result = await processCss(compiled.css, {
+				from: file,
+				to,
+				browserslist: config.browserslist,
+				prev: compiled.sourceMap,
+				sourceMap,
+				plugins: [assetUrls(config, file, to)]
+		  });
+		  check();
+		  warnings.push(...compiled.warnings, ...postcssWarnings(result, file));
+		  results.push({ names, css: result.css, map: sourceMap === 'external' ? result.map.toString() : null });
+	 }
+
+	 const built = {};
+	 for (const { names, css, map } of results) {
+		  for (const name of names) {
+				built[name] = writeOutput({
+					 out: config.out,
+					 name,
+					 contents: css,
+					 map,
+					 hash,
+					 mapComment: file => `/*# sourceMappingURL=${file} */`
+				});
+		  }
+	 }
+	 return { built, warnings, loaded: [...loaded] };
+}
+
+/**
+ * Bundle JavaScript in the output directory.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} file - the JavaScript entry point
+ * @param {Object} [options]
+ * @param {String} [options.sourcemap] - "inline", "external", or "none"
+ * @param {Boolean} [options.minify] - minify the bundle
+ * @param {Boolean} [options.hash] - add a content hash to the file name
+ * @param {Object} [options.context] - an incremental esbuild context for
+ *     the file, see `createEsbuildContext`, without one it is bundled once
+ * @param {Function} [options.check] - called once bundled, it throws to
+ *     stop the build, see `check` in `lib/cancellable.js`
+ * @returns {Promise<Object>} - the name of the `built` JavaScript file, by
+ *     the name it would have without a content hash, esbuild `warnings`,
+ *     the size of each bundled package, see `packageSizes` in
+ *     `lib/sizes.js`, and the modules it `loaded`
+ */
+async function buildJs(config, file, { sourcemap = 'external', minify = false, hash = false, context = null, check = () => {} } = {}) {
+	 const name = outputName(file, '.js');
+	 const outfile = path.resolve(config.out, name);
+	 const { outputFiles, warnings, metafile } = context ?
+		  await context.rebuild() :
+		  await esbuild.build(entryPointOptions(config, file, { sourcemap, minify }));
+	 check();
+	 const output = extension => outputFiles.find(outputFile => outputFile.path.endsWith(extension));
+	 return {
+		  built: {
+				[name]: writeOutput({
+					 out: config.out,
+					 name,
+					 contents: output('.js').text,
+					 map: sourcemap === 'external' ? output('.js.map').text : null,
+					 hash,
+					 mapComment: file => `//# sourceMappingURL=${file}`
+				})
+		  },
+		  warnings: esbuildWarnings(warnings, file),
+		  packages: packageSizes(metafile, outfile),
+		  loaded: Object.keys(metafile.inputs).filter(input => fs.existsSync(input))
+	 };
+}
+
+module.exports = {
+	 esbuildOptions,
+	 createEsbuildContext,
+	 buildCss,
+	 buildJs
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const { fileURLToPath } = require('url');
+
+/**
+ * Get a structured warning from a warning logged by the Sass compiler,
+ * such as a deprecation or an `@warn` rule. Sass lines and columns are
+ * 0 based, these are converted to 1 based lines and columns to match esbuild.
+ * `@warn` rules have no span, their location is the top of the Sass stack
+ * trace instead, e.g. "src/main.scss 3:12  x()". Files in the stack trace
+ * may be relative to a load path rather than the working directory.
+ * @param {String} message
+ * @param {Object} options - the options Sass passes to `Logger.warn`
+ * @param {Boolean} [options.deprecation] - true for deprecation warnings
+ * @param {Object} [options.span] - where the warning is
+ * @param {String} [options.stack] - the Sass stack trace
+ * @param {String} file - the Sass file which was built
+ * @param {Array<String>} [loadPaths] - the Sass load paths
+ * @returns {Object}
+ */
+function sassWarning(message, { deprecation = false, span, stack } = {}, file, loadPaths = []) {
+	 if (!span || !span.url || span.url.protocol !== 'file:') {
+		  const [, stackFile, line, column] = (stack || '').match(/^(.+?) (\d+):(\d+) /) || [];
+		  // Other URLs, e.g. the entry point when building for a brand, are not files.
+		  if (!stackFile || (/^[a-z][a-z0-9+.-]+:/i.test(stackFile) && !stackFile.startsWith('file:'))) {
+				return { file, message, deprecation };
+		  }
+		  const stackPath = stackFile.startsWith('file:') ? fileURLToPath(stackFile) : stackFile;
+		  const warningFile = ['', ...loadPaths]
+				.map(loadPath => path.resolve(loadPath, stackPath))
+				.find(candidate => fs.existsSync(candidate));
+		  return {
+				file: path.relative(process.cwd(), warningFile || stackPath),
+				line: Number(line),
+				column: Number(column),
+				message,
+				deprecation
+		  };
+	 }
+	 return {
+		  file: path.relative(process.cwd(), fileURLToPath(span.url)),
+		  line: span.start.line + 1,
+		  column: span.start.column + 1,
+		  message,
+		  deprecation
+	 };
+}
+
+/**
+ * Get structured warnings from an esbuild build.
+ * esbuild columns are 0 based, these are converted to
+ * 1 based columns to match Sass.
+ * @param {Array<Object>} warnings - the `warnings` of an esbuild result
+ * @param {String} file - the JavaScript file which was built
+ * @returns {Array<Object>}
+ */
+function esbuildWarnings(warnings, file) {
+	 return warnings.map(({ text, location }) => location ? {
+		  file: location.file,
+		  line: location.line,
+		  column: location.column + 1,
+		  message: text
+	 } : { file, message: text });
+}
+
+/**
+ * Get structured warnings from PostCSS plugins, such as autoprefixer.
+ * Warnings are given the line and column of the Sass they came from
+ * where the source map allows.
+ * @param {Object} result - the PostCSS result
+ * @param {String} file - the Sass file which was built
+ * @returns {Array<Object>}
+ */
+function postcssWarnings(result, file) {
+	 return result.warnings().map(warning => {
+		  const message = warning.plugin ? `${warning.text} (${warning.plugin})` : warning.text;
+		  const input = warning.node && warning.node.source && warning.node.source.input;
+		  const origin = input && warning.line ? input.origin(warning.line, warning.column) : null;
+		  if (!origin || !origin.file) {
+				return { file, message };
+		  }
+		  return {
+				file: path.relative(process.cwd(), origin.file),
+				line: origin.line,
+				column: origin.column,
+				message
+		  };
+	 });
+}
+
+/**
+ * Check whether a warning comes from a dependency in `node_modules`,
+ * such as an Origami component.
+ * @param {Object} warning
+ * @returns {Boolean}
+ */
+function isDependencyWarning({ file }) {
+	 return Boolean(file) && path.normalize(file).split(path.sep).includes('node_modules');
+}
+
+/**
+ * Group identical warnings, e.g. a deprecation reported once per use of a
+ * mixin, so each is listed once with a `count` of how many times it was
+ * reported.
+ * @param {Array<Object>} warnings
+ * @param {Object} [config] - see `lib/config.js`
+ * @param {Boolean} [config.quietDeps] - drop warnings from `node_modules`
+ * @returns {Array<Object>}
+ */
+function groupWarnings(warnings, { quietDeps = false } = {}) {
+	 const groups = new Map();
+	 for (const warning of warnings) {
+		  if (quietDeps && isDependencyWarning(warning)) {
+				continue;
+		  }
+		  const key = JSON.stringify([warning.file, warning.line, warning.column, warning.message]);
+		  if (groups.has(key)) {
+				groups.get(key).count++;
+		  } else {
+				groups.set(key, Object.assign({}, warning, { count: 1 }));
+		  }
+	 }
+	 return [...groups.values()];
+}
+
+/**
+ * Describe a warning for the terminal,
+ * e.g. "src/main.scss:3:10: Using / for division is deprecated (×2)".
+ * @param {Object} warning - see `groupWarnings`
+ * @returns {String}
+ */
+function warningText({ file, line, column, message, count = 1 }) {
+	 const location = line ? `${file}:${line}:${column}` : file;
+	 const repeated = count > 1 ? ` (×${count})` : '';
+	 return `${location}: ${message.split('\n')[0]}${repeated}`;
+}
+
+module.exports = {
+	 sassWarning,
+	 esbuildWarnings,
+	 postcssWarnings,
+	 groupWarnings,
+	 warningText
+};
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { createSassCompiler } = require('./sass');
+const { findHtmlFiles, htmlOutput } = require('./html-files');
+const { copyAssets } = require('./assets');
+const { buildCss, buildJs } = require('./build-file');
+const { groupWarnings } = require('./build-warnings');
+const { createSizeReport } = require('./sizes');
+const { checkHtml } = require('./html-checks');
+
+// Command line flags for the `build` command.
+const buildFlags = {
+	 minify: { type: 'boolean', default: false },
+	 sourcemap: { type: 'string', choices: ['inline', 'external', 'none'], default: 'inline' },
+	 hash: { type: 'boolean', default: false }
+};
+
+/**
+ * Copy an HTML page to the output directory, updating references
+ * to built files which have been renamed.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} file - the HTML page
+ * @param {String} output - where to build the page to
+ * @param {Object} renamed - new file names by original file name
+ * @returns {Array<Object>} - warnings about mistakes in the page, see `lib/html-checks.js`
+ */
+function buildHtml(config, file, output, renamed) {
+	 let html = fs.readFileSync(file, 'utf8');
+	 const warnings = checkHtml(file, html, config);
+	 for (const [original, name] of Object.entries(renamed)) {
+		  const reference = new RegExp(`((?:href|src)=["'](?:\\.\\.?/|/)*)${original.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(["'])`, 'g');
+		  html = html.replace(reference, `$1${name}$2`);
+	 }
+	 fs.mkdirSync(path.dirname(output), { recursive: true });
+	 fs.writeFileSync(output, html);
+	 return warnings;
+}
+
+/**
+ * Build Sass, JavaScript, HTML, and assets once. Sass and JavaScript which
+ * do not exist are not built, the configured `html` page is required.
+ * @param {Object} config - see `lib/config.js`, including build flags
+ * @returns {Promise<Array<Object>>} - the result of each build, with the
+ *     source `file` and either an `error`, or the `outputs` built, how
+ *     long the build took in milliseconds as the `duration`, and any
+ *     `warnings`, see `groupWarnings` in `lib/build-warnings.js`. CSS and
+ *     JavaScript have their `sizes` too, and JavaScript the `packages` in
+ *     it, see `lib/sizes.js`. Assets have an `action` of "copied".
+ */
+async function build(config) {
+	 fs.mkdirSync(path.resolve(config.out), { recursive: true });
+	 const results = [];
+	 const renamed = {};
+	 // Copy assets first, built CSS and JavaScript reference them.
+	 try {
+		  const start = Date.now();
+		  if (copyAssets(config).length) {
+				results.push({
+					 file: config.assets,
+					 action: 'copied',
+					 outputs: [path.join(config.out, path.basename(config.assets))],
+					 duration: Date.now() - start
+				});
+		  }
+	 } catch (error) {
+		  results.push({ file: config.assets, error });
+	 }
+	 const sassCompiler = createSassCompiler();
+	 const options = { sourcemap: config.sourcemap, minify: config.minify, hash: config.hash };
+	 const builds = [
+		  ...config.sass.map(file => [file, () => buildCss(config, file, sassCompiler, options)]),
+		  ...config.js.map(file => [file, () => buildJs(config, file, options)])
+	 ];
+	 const sizeReport = createSizeReport();
+	 for (const [file, buildFile] of builds) {
+		  if (!fs.existsSync(file)) {
+				continue;
+		  }
+		  try {
+				const start = Date.now();
+				const { built, warnings, packages } = await buildFile();
+				Object.assign(renamed, built);
+				const outputs = Object.values(built).map(name => path.join(config.out, name));
+				results.push({
+					 file,
+					 outputs,
+					 duration: Date.now() - start,
+					 warnings: groupWarnings(warnings, config),
+					 sizes: sizeReport.measure(Object.keys(built).map((name, index) => ({ file: outputs[index], name })), config),
+					 packages
+				});
+		  } catch (error) {
+				results.push({ file, error });
+		  }
+	 }
+	 await sassCompiler.dispose();
+	 const pages = new Set(findHtmlFiles(config));
+	 if (fs.existsSync(config.html)) {
+		  pages.add(config.html);
+	 } else {
+		  results.push({
+				file: config.html,
+				error: new Error(`Could not find "${config.html}", it is needed to present your work.`)
+		  });
+	 }
+	 for (const file of pages) {
+		  const output = htmlOutput(file, config);
+		  if (!output) {
+				continue;
+		  }
+		  try {
+				const start = Date.now();
+				const warnings = buildHtml(config, file, output, renamed);
+				results.push({
+					 file,
+					 outputs: [output],
+					 duration: Date.now() - start,
+					 warnings: groupWarnings(warnings, config)
+				});
+		  } catch (error) {
+				results.push({ file, error });
+		  }
+	 }
+	 return results;
+}
+
+module.exports = {
+	 build,
+	 buildFlags
+};
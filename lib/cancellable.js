@@ -0,0 +1,50 @@
+/**
+ * Create a token for a build which may be cancelled, e.g. when its
+ * file changes again before the build has finished. Builds check the
+ * token after each asynchronous step, and may register handlers to
+ * stop work in progress when cancelled.
+ */
+function createCancellable() {
+	 const handlers = [];
+	 const cancellable = {
+		  isCanceled: false,
+		  stopped: Promise.resolve(),
+
+		  /**
+			* Cancel the build.
+			* @returns {Promise} - resolves once work in progress has stopped
+			*/
+		  cancel() {
+				if (!cancellable.isCanceled) {
+					 cancellable.isCanceled = true;
+					 cancellable.stopped = Promise.all(handlers.map(handler => handler()));
+				}
+				return cancellable.stopped;
+		  },
+
+		  /**
+			* @param {Function} handler - called when the build is cancelled,
+			*     it may return a promise which resolves once work has stopped
+			*/
+		  onCancel(handler) {
+				handlers.push(handler);
+		  },
+
+		  /**
+			* Throw an error with an `isCanceled` property if the build
+			* has been cancelled.
+			*/
+		  check() {
+				if (cancellable.isCanceled) {
+					 const error = new Error('The build was cancelled.');
+					 error.isCanceled = true;
+					 throw error;
+				}
+		  }
+	 };
+	 return cancellable;
+}
+
+module.exports = {
+	 createCancellable
+};
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const selfsigned = require('selfsigned');
+
+// Where the certificate is kept between runs, so it only needs
+// to be trusted once for each project.
+const cacheDirectory = path.join('node_modules', '.cache', 'origami-workshop');
+
+// How long a certificate is valid for. Browsers reject certificates
+// which are valid for much longer than a year.
+const validDays = 365;
+
+/**
+ * Create a self-signed certificate for the workshop server.
+ * @param {Object} hosts
+ * @param {Array<String>} hosts.names - host names, e.g. "localhost"
+ * @param {Array<String>} hosts.addresses - IP addresses, e.g. "192.168.1.10"
+ * @returns {Promise<Object>} - the PEM `key` and `cert`
+ */
+async function createCertificate({ names, addresses }) {
+	 const { private: key, cert } = await selfsigned.generate([
+		  { name: 'organizationName', value: 'Origami Workshop' },
+		  { name: 'commonName', value: names[0] }
+	 ], {
+		  keySize: 2048,
+		  algorithm: 'sha256',
+		  notBeforeDate: new Date(Date.now() - 24 * 60 * 60 * 1000),
+		  notAfterDate: new Date(Date.now() + validDays * 24 * 60 * 60 * 1000),
+		  extensions: [
+				{ name: 'basicConstraints', cA: false },
+				{ name: 'extKeyUsage', serverAuth: true },
+				{
+					 name: 'subjectAltName',
+					 altNames: [
+						  ...names.map(value => ({ type: 2, value })),
+						  ...addresses.map(ip => ({ type: 7, ip }))
+					 ]
+				}
+		  ]
+	 });
+	 return { key, cert };
+}
+
+/**
+ * Check a certificate is valid for at least another day, for every host.
+ * @param {String} cert - PEM
+ * @param {Object} hosts - see `createCertificate`
+ * @returns {Boolean}
+ */
+function isUsable(cert, { names, addresses }) {
+	 try {
+		  const certificate = new crypto.X509Certificate(cert);
+		  return new Date(certificate.validTo).getTime() > Date.now() + 24 * 60 * 60 * 1000 &&
+				names.every(host => certificate.checkHost(host)) &&
+				addresses.every(address => certificate.checkIP(address));
+	 } catch (error) {
+		  return false;
+	 }
+}
+
+/**
+ * Get a self-signed certificate for serving over HTTPS. It is created
+ * once and kept in `node_modules/.cache`, and created again when it is
+ * about to expire or does not cover every host, e.g. on a new network.
+ * @param {Object} hosts - see `createCertificate`
+ * @param {String} [cwd] - the project directory
+ * @returns {Promise<Object>} - the PEM `key` and `cert`, and the `file` of the cert
+ */
+async function loadCertificate(hosts, cwd = process.cwd()) {
+	 const directory = path.resolve(cwd, cacheDirectory);
+	 const keyFile = path.join(directory, 'localhost-key.pem');
+	 const certFile = path.join(directory, 'localhost.pem');
+	 if (fs.existsSync(keyFile) && fs.existsSync(certFile)) {
+		  const cert = fs.readFileSync(certFile, 'utf8');
+		  if (isUsable(cert, hosts)) {
+				return { key: fs.readFileSync(keyFile, 'utf8'), cert, file: certFile };
+		  }
+	 }
+	 const { key, cert } = await createCertificate(hosts);
+	 fs.mkdirSync(directory, { recursive: true });
+	 fs.writeFileSync(keyFile, key, { mode: 0o600 });
+	 fs.writeFileSync(certFile, cert);
+	 return { key, cert, file: certFile };
+}
+
+module.exports = {
+	 createCertificate,
+	 loadCertificate
+};
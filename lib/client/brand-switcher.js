@@ -0,0 +1,92 @@
+// Origami Workshop brand switcher.
+// This is added to HTML pages served by the workshop when Sass is
+// built for more than one Origami brand. It swaps stylesheets built
+// from Sass, e.g. main.css, for those built for the chosen brand,
+// e.g. main.internal.css. The brand is remembered for the browser tab,
+// so a page may be compared in each brand side by side in two tabs.
+(function () {
+	 var script = document.currentScript;
+	 if (!script) {
+		  return;
+	 }
+	 var brands = script.getAttribute('data-brands').split(' ');
+	 var stylesheets = script.getAttribute('data-stylesheets').split(' ');
+	 var storageKey = 'ow-brand';
+
+	 /**
+	  * Get the stylesheet built from Sass a URL path is for, in any brand.
+	  * E.g. "main" for "/main.css" or "/main.internal.css".
+	  * @param {String} pathname
+	  * @returns {String|null}
+	  */
+	 function builtStylesheet(pathname) {
+		  for (var i = 0; i < stylesheets.length; i++) {
+				var name = stylesheets[i].replace(/\.css$/, '');
+				if (pathname === '/' + name + '.css') {
+					 return name;
+				}
+				for (var j = 0; j < brands.length; j++) {
+					 if (pathname === '/' + name + '.' + brands[j] + '.css') {
+						  return name;
+					 }
+				}
+		  }
+		  return null;
+	 }
+
+	 /**
+	  * Link stylesheets built from Sass to the CSS built for a brand.
+	  * @param {String} brand
+	  */
+	 function useBrand(brand) {
+		  var links = document.querySelectorAll('link[rel="stylesheet"]');
+		  for (var i = 0; i < links.length; i++) {
+				var url = new URL(links[i].href);
+				var name = builtStylesheet(url.pathname);
+				if (url.origin !== window.location.origin || !name) {
+					 continue;
+				}
+				url.pathname = '/' + name + '.' + brand + '.css';
+				url.searchParams.delete('ow-reload');
+				if (links[i].href !== url.href) {
+					 links[i].href = url.href;
+				}
+		  }
+		  try {
+				window.sessionStorage.setItem(storageKey, brand);
+		  } catch (error) {
+				// The brand is not remembered if storage is not available.
+		  }
+	 }
+
+	 var brand = brands[0];
+	 try {
+		  var stored = window.sessionStorage.getItem(storageKey);
+		  if (brands.indexOf(stored) !== -1) {
+				brand = stored;
+		  }
+	 } catch (error) {
+		  // Use the first brand if storage is not available.
+	 }
+
+	 var label = document.createElement('label');
+	 label.setAttribute('data-ow-brand-switcher', '');
+	 label.style.cssText = 'position:fixed;bottom:8px;left:8px;z-index:2147483646;' +
+		  'padding:4px 8px;background:rgba(26,24,23,0.9);color:#ffffff;' +
+		  'font:12px/1.5 sans-serif;border-radius:2px;';
+	 label.appendChild(document.createTextNode('Origami brand '));
+	 var select = document.createElement('select');
+	 for (var i = 0; i < brands.length; i++) {
+		  var option = document.createElement('option');
+		  option.value = brands[i];
+		  option.textContent = brands[i];
+		  option.selected = brands[i] === brand;
+		  select.appendChild(option);
+	 }
+	 select.addEventListener('change', function () {
+		  useBrand(select.value);
+	 });
+	 label.appendChild(select);
+	 document.body.appendChild(label);
+	 useBrand(brand);
+}());
@@ -0,0 +1,106 @@
+// Origami Workshop live reload client.
+// This is added to HTML pages served by the workshop and
+// reloads the page when the workshop rebuilds a file.
+// Stylesheets are swapped in place so the page keeps its
+// scroll position and component state when only CSS changes.
+// Build errors are shown in an overlay until the next successful build.
+(function () {
+	 if (!('EventSource' in window)) {
+		  return;
+	 }
+
+	 /**
+	  * Replace a stylesheet link with one which requests the latest CSS.
+	  * The old stylesheet is removed once the new one has loaded to avoid
+	  * a flash of unstyled content.
+	  * @param {HTMLLinkElement} link
+	  */
+	 function swapStylesheet(link) {
+		  var url = new URL(link.href);
+		  url.searchParams.set('ow-reload', Date.now());
+		  var replacement = link.cloneNode();
+		  link.setAttribute('data-ow-stale', '');
+		  replacement.href = url.href;
+		  replacement.onload = replacement.onerror = function () {
+				if (link.parentNode) {
+					 link.parentNode.removeChild(link);
+				}
+		  };
+		  link.parentNode.insertBefore(replacement, link.nextSibling);
+	 }
+
+	 var overlay = null;
+
+	 /**
+	  * Show build errors in an overlay, or remove the overlay
+	  * if there are no errors.
+	  * @param {Array<Object>} errors
+	  */
+	 function showErrors(errors) {
+		  if (overlay && overlay.parentNode) {
+				overlay.parentNode.removeChild(overlay);
+		  }
+		  overlay = null;
+		  if (!errors.length) {
+				return;
+		  }
+		  overlay = document.createElement('div');
+		  overlay.setAttribute('data-ow-error-overlay', '');
+		  overlay.setAttribute('role', 'alert');
+		  overlay.style.cssText = 'position:fixed;top:0;right:0;bottom:0;left:0;z-index:2147483647;' +
+				'overflow:auto;padding:24px;background:rgba(26,24,23,0.95);color:#ffffff;' +
+				'font:14px/1.5 monospace;text-align:left;';
+		  var heading = document.createElement('h1');
+		  heading.style.cssText = 'margin:0 0 16px;font-size:18px;color:#ff7f8a;';
+		  heading.textContent = 'Origami Workshop: failed to build';
+		  overlay.appendChild(heading);
+		  for (var i = 0; i < errors.length; i++) {
+				var error = errors[i];
+				var location = document.createElement('p');
+				location.style.cssText = 'margin:16px 0 4px;color:#96cc28;';
+				location.textContent = error.line ?
+					 error.file + ':' + error.line + ':' + error.column :
+					 error.file;
+				var message = document.createElement('p');
+				message.style.cssText = 'margin:0 0 8px;font-weight:bold;';
+				message.textContent = error.message;
+				overlay.appendChild(location);
+				overlay.appendChild(message);
+				if (error.frame) {
+					 var frame = document.createElement('pre');
+					 frame.style.cssText = 'margin:0;padding:8px;overflow:auto;background:rgba(255,255,255,0.1);';
+					 frame.textContent = error.frame;
+					 overlay.appendChild(frame);
+				}
+		  }
+		  var hint = document.createElement('p');
+		  hint.style.cssText = 'margin:24px 0 0;opacity:0.7;';
+		  hint.textContent = 'Fix the error and save, this message will go away once the build succeeds. Click to dismiss.';
+		  overlay.appendChild(hint);
+		  overlay.addEventListener('click', function () {
+				showErrors([]);
+		  });
+		  document.body.appendChild(overlay);
+	 }
+
+	 var events = new EventSource('/__ow/events');
+	 events.addEventListener('errors', function (event) {
+		  showErrors(JSON.parse(event.data).errors);
+	 });
+	 events.addEventListener('reload', function () {
+		  window.location.reload();
+	 });
+	 events.addEventListener('css', function (event) {
+		  var data = JSON.parse(event.data);
+		  var links = document.querySelectorAll('link[rel="stylesheet"]');
+		  for (var i = 0; i < links.length; i++) {
+				if (links[i].hasAttribute('data-ow-stale')) {
+					 continue;
+				}
+				var url = new URL(links[i].href);
+				if (url.origin === window.location.origin && url.pathname === data.href) {
+					 swapStylesheet(links[i]);
+				}
+		  }
+	 });
+}());
@@ -0,0 +1,269 @@
+const fs = require('fs');
+const path = require('path');
+const esbuild = require('esbuild');
+const { processCss } = require('./sass');
+const { esbuildOptions } = require('./build-file');
+const { errorMessage } = require('./build-errors');
+const { findComponents, visibleDemos, renderDemo } = require('./components');
+
+// The path the server lists installed components at. Each component's
+// demos are served below it, e.g. `/__ow/components/@financial-times/o-buttons/primary`.
+const browserPath = '/__ow/components';
+
+/**
+ * Escape text to add to HTML.
+ * @param {String} text
+ * @returns {String}
+ */
+function escapeHtml(text) {
+	 return String(text)
+		  .replace(/&/g, '&amp;')
+		  .replace(/</g, '&lt;')
+		  .replace(/>/g, '&gt;')
+		  .replace(/"/g, '&quot;');
+}
+
+/**
+ * Create an HTML page for the component browser.
+ * @param {String} title
+ * @param {String} body - HTML
+ * @returns {String}
+ */
+function page(title, body) {
+	 return [
+		  '<!DOCTYPE html>',
+		  '<html lang="en-GB">',
+		  '<head>',
+		  '<meta charset="utf-8">',
+		  '<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+		  `<title>${escapeHtml(title)}</title>`,
+		  '<style>body{margin:0 auto;max-width:60em;padding:1em;font:16px/1.5 sans-serif;color:#33302e;}a{color:#0d7680;}</style>',
+		  '</head>',
+		  '<body>',
+		  body,
+		  '</body>',
+		  '</html>'
+	 ].join('\n');
+}
+
+/**
+ * Create a browser for the demos of Origami components installed in
+ * `node_modules`. Demo Sass and JavaScript are built on request with the
+ * same Sass, PostCSS/autoprefixer, and esbuild pipeline as the project.
+ * @param {Object} config - see `lib/config.js`
+ * @param {Object} sassCompiler - see `createSassCompiler` in `lib/sass.js`
+ */
+function createComponentBrowser(config, sassCompiler) {
+	 /**
+	  * List every installed component.
+	  * @returns {String} - HTML
+	  */
+	 function listPage() {
+		  const components = findComponents();
+		  const items = components.map(({ name, manifest }) => [
+				'<li>',
+				`<a href="${browserPath}/${name}/">${escapeHtml(name)}</a>`,
+				manifest.version ? ` ${escapeHtml(manifest.version)}` : '',
+				manifest.description ? `<br>${escapeHtml(manifest.description)}` : '',
+				'</li>'
+		  ].join(''));
+		  return page('Origami components', [
+				'<h1>Origami components</h1>',
+				components.length ?
+					 `<ul>\n${items.join('\n')}\n</ul>` :
+					 '<p>There are no Origami components in node_modules. Add one with <code>ow add o-buttons</code>.</p>'
+		  ].join('\n'));
+	 }
+
+	 /**
+	  * List a component's demos.
+	  * @param {Object} component - see `readComponent` in `lib/components.js`
+	  * @returns {String} - HTML
+	  */
+	 function componentPage(component) {
+		  const demos = visibleDemos(component.origami);
+		  const items = demos.map(demo => [
+				'<li>',
+				`<a href="${encodeURIComponent(demo.name)}">${escapeHtml(demo.title || demo.name)}</a>`,
+				demo.description ? `<br>${escapeHtml(demo.description)}` : '',
+				'</li>'
+		  ].join(''));
+		  return page(component.name, [
+				`<p><a href="${browserPath}">Origami components</a></p>`,
+				`<h1>${escapeHtml(component.name)}</h1>`,
+				component.manifest.description ? `<p>${escapeHtml(component.manifest.description)}</p>` : '',
+				demos.length ? `<ul>\n${items.join('\n')}\n</ul>` : '<p>This component has no demos.</p>'
+		  ].join('\n'));
+	 }
+
+	 /**
+	  * Show a demo, and its markup to copy.
+	  * @param {Object} component - see `readComponent` in `lib/components.js`
+	  * @param {Object} demo - see `visibleDemos` in `lib/components.js`
+	  * @returns {String} - HTML
+	  */
+	 function demoPage(component, demo) {
+		  const markup = renderDemo(component, demo);
+		  const name = encodeURIComponent(demo.name);
+		  // The "core" class is replaced with "enhanced" when JavaScript runs,
+		  // as in Origami's boilerplate.
+		  return [
+				'<!DOCTYPE html>',
+				'<html lang="en-GB" class="core">',
+				'<head>',
+				'<meta charset="utf-8">',
+				'<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+				`<title>${escapeHtml(`${component.name}: ${demo.title || demo.name}`)}</title>`,
+				'<script>document.documentElement.className = document.documentElement.className.replace(/\\bcore\\b/g, \'enhanced\');</script>',
+				`<link rel="stylesheet" href="${name}.css">`,
+				'</head>',
+				`<body${demo.bodyClasses ? ` class="${escapeHtml(demo.bodyClasses)}"` : ''}>`,
+				markup,
+				'<section data-ow-demo-markup style="margin:2em 0 0;padding:1em;border-top:1px solid #cccccc;background:#ffffff;color:#33302e;font:14px/1.5 sans-serif;">',
+				`<p><a href="${browserPath}/${component.name}/">${escapeHtml(component.name)}</a> demo markup:</p>`,
+				`<pre style="overflow:auto;"><code>${escapeHtml(markup)}</code></pre>`,
+				'</section>',
+				`<script src="${name}.js"></script>`,
+				'</body>',
+				'</html>'
+		  ].join('\n');
+	 }
+
+	 /**
+	  * Build a demo's Sass to CSS. Components without demo Sass have no demo CSS.
+	  * @param {Object} component - see `readComponent` in `lib/components.js`
+	  * @param {Object} demo - see `visibleDemos` in `lib/components.js`
+	  * @returns {Promise<String>}
+	  */
+	 async function demoCss(component, demo) {
+		  if (!demo.sass) {
+				return '';
+		  }
+		  const file = path.join(component.directory, demo.sass.replace(/^\//, ''));
+		  const compiled = await sassCompiler.compile(file, { brand: config.brands[0] || null });
+		  const result = await processCss(compiled.css, {
+				from: file,
+				browserslist: config.browserslist,
+				prev: compiled.sourceMap
+		  });
+		  return result.css;
+	 }
+
+	 /**
+	  * Bundle a demo's JavaScript. Components without demo JavaScript have
+	  * their own JavaScript bundled, initialised by an `o.DOMContentLoaded` event.
+	  * @param {Object} component - see `readComponent` in `lib/components.js`
+	  * @param {Object} demo - see `visibleDemos` in `lib/components.js`
+	  * @returns {Promise<String>}
+	  */
+	 async function demoJs(component, demo) {
+		  const { manifest, directory } = component;
+		  const options = esbuildOptions(config, { sourcemap: 'inline' });
+		  if (demo.js) {
+				options.entryPoints = [path.join(directory, demo.js.replace(/^\//, ''))];
+		  } else if (manifest.browser || manifest.module || manifest.main || fs.existsSync(path.join(directory, 'main.js'))) {
+				options.stdin = {
+					 contents: [
+						  `import '${component.name}';`,
+						  'document.addEventListener(\'DOMContentLoaded\', function () {',
+						  '\tdocument.dispatchEvent(new CustomEvent(\'o.DOMContentLoaded\'));',
+						  '});'
+					 ].join('\n'),
+					 resolveDir: process.cwd()
+				};
+		  } else {
+				return '';
+		  }
+		  const { outputFiles } = await esbuild.build(options);
+		  return outputFiles[0].text;
+	 }
+
+	 /**
+	  * Respond to a request with built content, or the error building it.
+	  * @param {http.ServerResponse} response
+	  * @param {String} contentType
+	  * @param {Function} build - returns the content, or a promise of it
+	  */
+	 async function respond(response, contentType, build) {
+		  let content;
+		  try {
+				content = await build();
+		  } catch (error) {
+				response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+				response.end(errorMessage(error));
+				return;
+		  }
+		  response.writeHead(200, {
+				'Content-Type': `${contentType}; charset=utf-8`,
+				'Cache-Control': 'no-store'
+		  });
+		  response.end(content);
+	 }
+
+	 /**
+	  * Respond that there is no such component or demo.
+	  * @param {http.ServerResponse} response
+	  */
+	 function notFound(response) {
+		  response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+		  response.end('Not found');
+	 }
+
+	 /**
+	  * Respond to requests for the component browser.
+	  * @param {http.IncomingMessage} request
+	  * @param {http.ServerResponse} response
+	  * @returns {Boolean} - true if the request was handled
+	  */
+	 function handle(request, response) {
+		  const { pathname } = new URL(request.url, 'http://localhost');
+		  if (pathname !== browserPath && !pathname.startsWith(`${browserPath}/`)) {
+				return false;
+		  }
+		  let route;
+		  try {
+				route = decodeURIComponent(pathname.slice(browserPath.length + 1));
+		  } catch (error) {
+				// A malformed path can't be a component or demo.
+				notFound(response);
+				return true;
+		  }
+		  if (!route) {
+				respond(response, 'text/html', listPage);
+				return true;
+		  }
+		  // Only installed components are served, so paths outside of
+		  // node_modules can not be requested.
+		  const component = findComponents().find(({ name }) => route === name || route.startsWith(`${name}/`));
+		  const file = component ? route.slice(component.name.length + 1) : '';
+		  if (component && !file) {
+				if (route === component.name) {
+					 response.writeHead(301, { Location: `${browserPath}/${component.name}/` });
+					 response.end();
+				} else {
+					 respond(response, 'text/html', () => componentPage(component));
+				}
+				return true;
+		  }
+		  const [, demoName, extension] = file.match(/^([^/]+?)(\.css|\.js)?$/) || [];
+		  const demo = component && visibleDemos(component.origami).find(({ name }) => name === demoName);
+		  if (!demo) {
+				notFound(response);
+				return true;
+		  }
+		  if (extension === '.css') {
+				respond(response, 'text/css', () => demoCss(component, demo));
+		  } else if (extension === '.js') {
+				respond(response, 'application/javascript', () => demoJs(component, demo));
+		  } else {
+				respond(response, 'text/html', () => demoPage(component, demo));
+		  }
+		  return true;
+	 }
+
+	 return { handle };
+}
+
+module.exports = {
+	 createComponentBrowser
+};
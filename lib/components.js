@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const Mustache = require('mustache');
+
+/**
+ * Read an installed component's metadata.
+ * @param {String} name - the package name
+ * @returns {Object} - the component directory, its package.json, and origami.json
+ */
+function readComponent(name) {
+	 const directory = path.resolve('node_modules', name);
+	 const read = file => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8'));
+	 if (!fs.existsSync(path.join(directory, 'origami.json'))) {
+		  throw new Error(`${name} is not an Origami component, it has no origami.json.`);
+	 }
+	 const origami = read('origami.json');
+	 if (origami.origamiType !== 'component') {
+		  throw new Error(`${name} is not an Origami component, its origamiType is "${origami.origamiType}".`);
+	 }
+	 return { name, directory, manifest: read('package.json'), origami };
+}
+
+/**
+ * Find every Origami component installed in `node_modules`, i.e. every
+ * package with an origami.json of the "component" type.
+ * @returns {Array<Object>} - see `readComponent`, sorted by name
+ */
+function findComponents() {
+	 const directories = dir => fs.existsSync(dir) ?
+		  fs.readdirSync(dir, { withFileTypes: true })
+				.filter(entry => entry.isDirectory() || entry.isSymbolicLink())
+				.map(entry => entry.name) :
+		  [];
+	 const names = [];
+	 for (const name of directories('node_modules')) {
+		  if (name.startsWith('@')) {
+				names.push(...directories(path.join('node_modules', name)).map(scoped => `${name}/${scoped}`));
+		  } else if (!name.startsWith('.')) {
+				names.push(name);
+		  }
+	 }
+	 const components = [];
+	 for (const name of names.sort()) {
+		  try {
+				components.push(readComponent(name));
+		  } catch (error) {
+				// Not an Origami component, or its metadata is not valid.
+		  }
+	 }
+	 return components;
+}
+
+/**
+ * @param {Object} origami - a component's origami.json
+ * @returns {Array<Object>} - demos which are not hidden, with their defaults
+ */
+function visibleDemos(origami) {
+	 return (origami.demos || [])
+		  .map(demo => Object.assign({}, origami.demosDefaults, demo))
+		  .filter(demo => !demo.hidden && demo.template);
+}
+
+/**
+ * Render the markup of a component's demo from its Mustache template and data.
+ * @param {Object} component - see `readComponent`
+ * @param {Object} demo - see `visibleDemos`
+ * @returns {String}
+ */
+function renderDemo({ directory }, demo) {
+	 // Demo paths are relative to the component, and may start with a slash.
+	 const read = file => fs.readFileSync(path.join(directory, file.replace(/^\//, '')), 'utf8');
+	 const template = read(demo.template);
+	 const data = typeof demo.data === 'string' ? JSON.parse(read(demo.data)) : demo.data || {};
+	 return Mustache.render(template, data).trim();
+}
+
+module.exports = {
+	 findComponents,
+	 readComponent,
+	 visibleDemos,
+	 renderDemo
+};
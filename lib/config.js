@@ -0,0 +1,365 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const browserslist = require('browserslist');
+const { parseSize } = require('./sizes');
+
+// The default configuration, used for the Origami manual build tutorial.
+const defaults = {
+	 html: 'index.html',
+	 sass: 'src/main.scss',
+	 js: 'src/main.js',
+	 out: 'public',
+	 assets: 'src/assets',
+	 port: 3000,
+	 // Serve over HTTPS with a self-signed certificate, for browser APIs
+	 // which need a secure context.
+	 https: false,
+	 // Serve to other devices on the network, e.g. phones, rather
+	 // than only this computer.
+	 lan: false,
+	 // The npm registry components are installed from by `ow add`,
+	 // by default the registry npm is configured to use.
+	 registry: null,
+	 // Origami brands to build Sass for, e.g. `["core", "internal"]`.
+	 // Each Sass entry point is built to a CSS file per brand.
+	 brands: [],
+	 // How build status is reported: "spinner", "plain", or "json".
+	 // By default "spinner" in an interactive terminal, otherwise "plain".
+	 reporter: null,
+	 // How warnings, e.g. Sass deprecations, are reported: "summary" for
+	 // the number of warnings for each file, or "detail" to list them.
+	 warnings: 'summary',
+	 // Leave out warnings from dependencies in `node_modules`.
+	 quietDeps: false,
+	 // Limits for the gzipped size of built files, by name, e.g.
+	 // `{ "main.js": { "warning": "30kB", "error": "50kB" } }`.
+	 budgets: {},
+	 // Servers to forward requests to from the dev server, by path, e.g.
+	 // `{ "/api": "http://localhost:8080" }`.
+	 proxy: {},
+	 // A directory of mock responses the dev server serves, e.g.
+	 // `mocks/api/articles.json` at "/api/articles".
+	 mocks: 'mocks',
+	 // Browsers to add CSS vendor prefixes and transpile JavaScript for.
+	 // Internet Explorer is not included, JavaScript can't be transpiled for it.
+	 browserslist: [
+		  '> 1%',
+		  'last 2 versions',
+		  'not dead'
+	 ]
+};
+
+// The default JavaScript entry point is the first of these found,
+// so TypeScript and JSX projects work without configuration.
+const defaultJs = [
+	 'src/main.js',
+	 'src/main.ts',
+	 'src/main.tsx',
+	 'src/main.jsx'
+];
+
+// Configuration may be given by the first of these files found.
+const configFiles = [
+	 'ow.config.js',
+	 'ow.config.json'
+];
+
+// Or by this key in the project's package.json.
+const packageKey = 'origami-workshop';
+
+// Configuration which may also be given as a command line flag.
+const flags = ['html', 'sass', 'js', 'out', 'assets', 'port', 'registry', 'brands', 'reporter', 'warnings', 'quietDeps', 'mocks', 'https', 'lan'];
+
+// Configuration which may be given several times as a command line flag.
+const multipleFlags = ['sass', 'js', 'brands'];
+
+// Configuration which is on or off, given as a command line flag with no value.
+const booleanFlags = ['quietDeps', 'https', 'lan'];
+
+// The brands Origami components support.
+const origamiBrands = ['core', 'internal', 'whitelabel'];
+
+// The ways build status may be reported, see `lib/reporters.js`.
+const reporters = ['spinner', 'plain', 'json'];
+
+// The ways warnings may be reported.
+const warningModes = ['summary', 'detail'];
+
+// Configuration which may list several entry points.
+// Each entry point is built to a file of the same name in the
+// output directory, e.g. `src/article.scss` to `public/article.css`.
+const entryPoints = {
+	 sass: '.css',
+	 js: '.js'
+};
+
+/**
+ * Throw an error if configuration is not valid.
+ * @param {Object} config
+ * @param {String} source - where the config came from, for error messages
+ * @param {Function} [name] - format an option name for error messages
+ */
+function validate(config, source, name = key => `"${key}"`) {
+	 if (typeof config !== 'object' || config === null || Array.isArray(config)) {
+		  throw new Error(`Invalid configuration in ${source}: expected an object.`);
+	 }
+	 for (const [key, value] of Object.entries(config)) {
+		  if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+				throw new Error(`Unknown option ${name(key)} in ${source}. Valid options are: ${Object.keys(defaults).join(', ')}.`);
+		  }
+		  // Options which are null by default may be set to null to use the default.
+		  if (value === null && defaults[key] === null) {
+				continue;
+		  }
+		  const invalid = expected => new Error(
+				`Invalid option ${name(key)} in ${source}: expected ${expected}, found ${JSON.stringify(value)}.`
+		  );
+		  if (key === 'port') {
+				if (!Number.isInteger(value) || value < 1 || value > 65535) {
+					 throw invalid('a whole number between 1 and 65535');
+				}
+		  } else if (key === 'browserslist') {
+				const queries = Array.isArray(value) ? value : [value];
+				if (!queries.length || !queries.every(query => typeof query === 'string' && query.trim())) {
+					 throw invalid('a browserslist query string, or an array of query strings');
+				}
+				try {
+					 browserslist(queries);
+				} catch (error) {
+					 throw invalid(`a valid browserslist query (${error.message})`);
+				}
+		  } else if (key === 'brands') {
+				const values = Array.isArray(value) ? value : [value];
+				if (!values.every(brand => origamiBrands.includes(brand))) {
+					 throw invalid(`an Origami brand, or an array of brands: ${origamiBrands.join(', ')}`);
+				}
+		  } else if (key === 'reporter') {
+				if (!reporters.includes(value)) {
+					 throw invalid(`one of ${reporters.join(', ')}`);
+				}
+		  } else if (key === 'warnings') {
+				if (!warningModes.includes(value)) {
+					 throw invalid(`one of ${warningModes.join(', ')}`);
+				}
+		  } else if (booleanFlags.includes(key)) {
+				if (typeof value !== 'boolean') {
+					 throw invalid('true or false');
+				}
+		  } else if (key === 'budgets') {
+				const isBudget = budget => typeof budget === 'object' && budget !== null && !Array.isArray(budget) &&
+					 Object.keys(budget).length &&
+					 Object.entries(budget).every(([level, size]) => ['warning', 'error'].includes(level) && !Number.isNaN(parseSize(size)));
+				if (typeof value !== 'object' || value === null || Array.isArray(value) || !Object.values(value).every(isBudget)) {
+					 throw invalid('budgets by file name, e.g. {"main.js": {"warning": "30kB", "error": "50kB"}}');
+				}
+		  } else if (key === 'proxy') {
+				const isTarget = target => {
+					 try {
+						  return ['http:', 'https:'].includes(new URL(target).protocol);
+					 } catch (error) {
+						  return false;
+					 }
+				};
+				if (typeof value !== 'object' || value === null || Array.isArray(value) ||
+					 !Object.entries(value).every(([rule, target]) => rule.startsWith('/') && isTarget(target))) {
+					 throw invalid('urls to forward requests to by path, e.g. {"/api": "http://localhost:8080"}');
+				}
+		  } else if (key === 'registry') {
+				if (typeof value !== 'string' || !value.trim()) {
+					 throw invalid('an npm registry url');
+				}
+		  } else if (entryPoints[key]) {
+				const files = Array.isArray(value) ? value : [value];
+				if (!files.length || !files.every(file => typeof file === 'string' && file.trim())) {
+					 throw invalid('a file path, or an array of file paths');
+				}
+		  } else if (typeof value !== 'string' || !value.trim()) {
+				throw invalid('a file path');
+		  }
+	 }
+}
+
+/**
+ * Throw an error if two entry points would build to the same file.
+ * @param {Object} config
+ */
+function validateEntryPoints(config) {
+	 for (const [key, extension] of Object.entries(entryPoints)) {
+		  const outputs = {};
+		  for (const file of config[key]) {
+				const output = outputName(file, extension);
+				if (outputs[output]) {
+					 throw new Error(`Invalid option "${key}": ${outputs[output]} and ${file} would both build to ${output}. Rename one of them.`);
+				}
+				outputs[output] = file;
+		  }
+	 }
+}
+
+/**
+ * @param {String} file - an entry point e.g. "src/article.scss"
+ * @param {String} extension - the extension of the built file e.g. ".css"
+ * @returns {String} - the name of the built file e.g. "article.css"
+ */
+function outputName(file, extension) {
+	 return `${path.basename(file, path.extname(file))}${extension}`;
+}
+
+/**
+ * Get the CSS files a Sass entry point is built to. With no brands
+ * it is built to one file. With brands it is built to a file per
+ * brand, and the first brand is also built to the file it would be
+ * built to without brands, so pages which link to it work as they are.
+ * @param {String} file - a Sass entry point e.g. "src/main.scss"
+ * @param {Object} config - the brands to build for
+ * @returns {Array<Object>} - the `brand` to build for and the `names`
+ *     of the files to build to e.g. `["main.css", "main.core.css"]`
+ */
+function cssOutputs(file, { brands }) {
+	 if (!brands.length) {
+		  return [{ brand: null, names: [outputName(file, '.css')] }];
+	 }
+	 return brands.map((brand, index) => ({
+		  brand,
+		  names: [
+				...index === 0 ? [outputName(file, '.css')] : [],
+				outputName(file, `.${brand}.css`)
+		  ]
+	 }));
+}
+
+/**
+ * Read configuration from a config file or package.json.
+ * @param {String} cwd - the project directory
+ * @returns {Object} - the configuration and where it came from
+ */
+function readConfigFile(cwd) {
+	 for (const file of configFiles) {
+		  const configPath = path.resolve(cwd, file);
+		  if (!fs.existsSync(configPath)) {
+				continue;
+		  }
+		  try {
+				const config = file.endsWith('.json') ?
+					 JSON.parse(fs.readFileSync(configPath, 'utf8')) :
+					 require(configPath);
+				return { config, source: file };
+		  } catch (error) {
+				throw new Error(`Could not read ${file}:\n${error.message}`);
+		  }
+	 }
+	 const packagePath = path.resolve(cwd, 'package.json');
+	 if (fs.existsSync(packagePath)) {
+		  let manifest;
+		  try {
+				manifest = JSON.parse(fs.readFileSync(packagePath, 'utf8'));
+		  } catch (error) {
+				throw new Error(`Could not read package.json:\n${error.message}`);
+		  }
+		  if (manifest && manifest[packageKey] !== undefined) {
+				return {
+					 config: manifest[packageKey],
+					 source: `the "${packageKey}" property of package.json`
+				};
+		  }
+	 }
+	 return { config: {}, source: null };
+}
+
+/**
+ * @param {String} key - a configuration key e.g. "quietDeps"
+ * @returns {String} - its command line flag without dashes e.g. "quiet-deps"
+ */
+function flagName(key) {
+	 return key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Read configuration from command line flags.
+ * @param {Array<String>} args - e.g. `['--port', '8080']`
+ * @param {Object} commandFlags - flags specific to the command being run
+ * @returns {Object} - configuration flags and command flags
+ */
+function readFlags(args, commandFlags) {
+	 const options = Object.fromEntries(flags.map(key => [flagName(key), {
+		  type: booleanFlags.includes(key) ? 'boolean' : 'string',
+		  multiple: multipleFlags.includes(key)
+	 }]));
+	 for (const [flag, { type }] of Object.entries(commandFlags)) {
+		  options[flag] = { type };
+	 }
+	 let values;
+	 try {
+		  ({ values } = parseArgs({ args, options }));
+	 } catch (error) {
+		  const valid = Object.keys(options).map(flag => `--${flag}`).join(', ');
+		  throw new Error(`${error.message}. Valid options are: ${valid}.`);
+	 }
+	 const config = {};
+	 const command = {};
+	 for (const [flag, value] of Object.entries(values)) {
+		  if (!commandFlags[flag]) {
+				config[flags.find(key => flagName(key) === flag)] = value;
+				continue;
+		  }
+		  const { choices } = commandFlags[flag];
+		  if (choices && !choices.includes(value)) {
+				throw new Error(`Invalid option --${flag}: expected one of ${choices.join(', ')}, found "${value}".`);
+		  }
+		  command[flag] = value;
+	 }
+	 if (config.port !== undefined) {
+		  config.port = /^\d+$/.test(config.port) ? Number(config.port) : config.port;
+	 }
+	 return { config, command };
+}
+
+/**
+ * Get the workshop configuration. Command line flags take precedence over
+ * options given to the Node API, which take precedence over a config file,
+ * which takes precedence over the defaults.
+ * @param {Array<String>} args - command line arguments
+ * @param {Object} [options]
+ * @param {String} [options.cwd] - the project directory
+ * @param {Object} [options.flags] - flags specific to the command being run,
+ *     e.g. `{ minify: { type: 'boolean', default: false } }`, or with
+ *     `choices` for string flags. Their values are added to the config.
+ * @param {Object} [options.options] - configuration from the Node API,
+ *     e.g. `{ port: 8080 }`
+ * @returns {Object}
+ */
+function loadConfig(args = [], { cwd = process.cwd(), flags: commandFlags = {}, options = {} } = {}) {
+	 const file = readConfigFile(cwd);
+	 if (file.source) {
+		  validate(file.config, file.source);
+	 }
+	 validate(options, 'options');
+	 const cli = readFlags(args, commandFlags);
+	 validate(cli.config, 'command line flags', key => `--${flagName(key)}`);
+	 const config = Object.assign({}, defaults, file.config, options, cli.config);
+	 if ([file.config, options, cli.config].every(source => source.js === undefined)) {
+		  config.js = defaultJs.find(js => fs.existsSync(path.resolve(cwd, js))) || defaults.js;
+	 }
+	 // Normalise paths so they match paths from the file watcher.
+	 for (const key of ['html', 'out', 'assets', 'mocks']) {
+		  config[key] = path.normalize(config[key]);
+	 }
+	 for (const key of Object.keys(entryPoints)) {
+		  config[key] = [].concat(config[key]).map(file => path.normalize(file));
+	 }
+	 validateEntryPoints(config);
+	 config.browserslist = [].concat(config.browserslist);
+	 config.brands = [...new Set([].concat(config.brands))];
+	 for (const [flag, { default: value }] of Object.entries(commandFlags)) {
+		  config[flag] = cli.command[flag] !== undefined ? cli.command[flag] : value;
+	 }
+	 return config;
+}
+
+module.exports = {
+	 defaults,
+	 loadConfig,
+	 outputName,
+	 cssOutputs
+};
@@ -0,0 +1,77 @@
+const path = require('path');
+const chokidar = require('chokidar');
+
+/**
+ * Watch the files each entry point depends on, such as Sass partials
+ * or imported JavaScript modules. The watched files are kept in sync
+ * with the files loaded by the latest build of each entry point.
+ * @param {Function} onChange - called with an entry point when one of its dependencies changes
+ */
+function createDependencyWatcher(onChange) {
+	 // Dependencies by entry point.
+	 const dependencies = new Map();
+	 // Initial "add" events are ignored, an entry point has just been
+	 // built when its dependencies are added. "add" events for
+	 // dependencies created later, e.g. a missing partial, are kept.
+	 const watcher = chokidar.watch([], { ignoreInitial: true });
+
+	 /**
+	  * @returns {Set<String>} - all dependencies of all entry points
+	  */
+	 function watched() {
+		  const files = new Set();
+		  for (const entryDependencies of dependencies.values()) {
+				entryDependencies.forEach(file => files.add(file));
+		  }
+		  return files;
+	 }
+
+	 watcher.on('all', (event, file) => {
+		  for (const [entry, entryDependencies] of dependencies) {
+				if (entryDependencies.has(file)) {
+					 onChange(entry);
+				}
+		  }
+	 });
+
+	 /**
+	  * Set the dependencies of an entry point.
+	  * @param {String} entry
+	  * @param {Array<String>} files - files loaded by the entry point
+	  */
+	 function update(entry, files) {
+		  const before = watched();
+		  // Normalise paths to match those chokidar emits.
+		  dependencies.set(entry, new Set(files
+				.map(file => path.normalize(file))
+				.filter(file => file !== path.normalize(entry))));
+		  const after = watched();
+		  const added = [...after].filter(file => !before.has(file));
+		  const removed = [...before].filter(file => !after.has(file));
+		  if (added.length) {
+				watcher.add(added);
+		  }
+		  if (removed.length) {
+				watcher.unwatch(removed);
+		  }
+	 }
+
+	 /**
+	  * Stop watching the dependencies of an entry point.
+	  * @param {String} entry
+	  */
+	 function remove(entry) {
+		  update(entry, []);
+		  dependencies.delete(entry);
+	 }
+
+	 return {
+		  update,
+		  remove,
+		  close: () => watcher.close()
+	 };
+}
+
+module.exports = {
+	 createDependencyWatcher
+};
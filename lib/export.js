@@ -0,0 +1,231 @@
+const fs = require('fs');
+const path = require('path');
+const { zipSync } = require('fflate');
+const { build } = require('./build');
+const { assetOutput } = require('./assets');
+const { htmlOutput } = require('./html-files');
+const { formatSize } = require('./sizes');
+
+// Command line flags for the `export` command.
+const exportFlags = {
+	 format: { type: 'string', choices: ['html', 'zip'], default: 'html' },
+	 output: { type: 'string', default: null }
+};
+
+// Assets up to this size are embedded in an exported HTML file.
+// Larger files would make the file too big to send.
+const embedLimit = 100 * 1000;
+
+// Content types of files which may be embedded, by extension.
+const contentTypes = {
+	 '.png': 'image/png',
+	 '.jpg': 'image/jpeg',
+	 '.jpeg': 'image/jpeg',
+	 '.gif': 'image/gif',
+	 '.svg': 'image/svg+xml',
+	 '.webp': 'image/webp',
+	 '.avif': 'image/avif',
+	 '.ico': 'image/x-icon',
+	 '.bmp': 'image/bmp',
+	 '.woff': 'font/woff',
+	 '.woff2': 'font/woff2',
+	 '.ttf': 'font/ttf',
+	 '.otf': 'font/otf',
+	 '.eot': 'application/vnd.ms-fontobject',
+	 '.mp4': 'video/mp4',
+	 '.webm': 'video/webm',
+	 '.ogg': 'audio/ogg',
+	 '.mp3': 'audio/mpeg',
+	 '.wav': 'audio/wav',
+	 '.pdf': 'application/pdf',
+	 '.txt': 'text/plain',
+	 '.json': 'application/json'
+};
+
+/**
+ * Build once for export: minified, without source maps or content hashes,
+ * so the exported files are small and have no references to the source.
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Promise<Array<Object>>} - see `build` in `lib/build.js`
+ */
+function buildForExport(config) {
+	 return build(Object.assign({}, config, { minify: true, sourcemap: 'none', hash: false }));
+}
+
+/**
+ * Find the built file a reference in a page or stylesheet is to.
+ * @param {String} reference - e.g. "main.css" or "/assets/logo.png"
+ * @param {String} from - the built file the reference is in
+ * @param {Object} config - see `lib/config.js`
+ * @returns {String|null} - the file, or null if it is not a built file
+ */
+function referencedFile(reference, from, config) {
+	 const referencePath = reference.trim().replace(/[?#].*$/, '');
+	 if (!referencePath || /^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(referencePath)) {
+		  return null;
+	 }
+	 let decoded;
+	 try {
+		  decoded = decodeURIComponent(referencePath);
+	 } catch (error) {
+		  return null;
+	 }
+	 const file = decoded.startsWith('/') ?
+		  path.join(config.out, decoded) :
+		  path.join(path.dirname(from), decoded);
+	 const relative = path.relative(config.out, file);
+	 if (relative.startsWith('..') || path.isAbsolute(relative)) {
+		  return null;
+	 }
+	 return fs.existsSync(file) && fs.statSync(file).isFile() ? file : null;
+}
+
+/**
+ * Get a file as a data URI, if it is small enough to embed.
+ * @param {String} file
+ * @param {Array<String>} skipped - files too large to embed are added to this
+ * @returns {String|null}
+ */
+function dataUri(file, skipped) {
+	 const contents = fs.readFileSync(file);
+	 if (contents.length > embedLimit) {
+		  skipped.push(file);
+		  return null;
+	 }
+	 const type = contentTypes[path.extname(file).toLowerCase()] || 'application/octet-stream';
+	 return `data:${type};base64,${contents.toString('base64')}`;
+}
+
+/**
+ * Embed the files a stylesheet references with `url()`, e.g. fonts and images.
+ * @param {String} css
+ * @param {String} from - the stylesheet
+ * @param {Object} config - see `lib/config.js`
+ * @param {Array<String>} skipped - files too large to embed
+ * @returns {String}
+ */
+function embedCssUrls(css, from, config, skipped) {
+	 return css.replace(/url\(\s*(["']?)([^"')]+)\1\s*\)/g, (match, quote, reference) => {
+		  const file = referencedFile(reference, from, config);
+		  const uri = file && dataUri(file, skipped);
+		  return uri ? `url("${uri}")` : match;
+	 });
+}
+
+/**
+ * Export the built index page as a single HTML file, with its
+ * stylesheets and scripts inlined and small assets embedded.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} output - the file to write
+ * @returns {Array<String>} - built files which were too large to embed
+ */
+function exportHtml(config, output) {
+	 const page = htmlOutput(config.html, config) || path.join(config.out, 'index.html');
+	 let html = fs.readFileSync(page, 'utf8');
+	 const skipped = [];
+	 // Stylesheets become style elements.
+	 html = html.replace(/<link\b[^>]*>/gi, tag => {
+		  const rel = tag.match(/\brel\s*=\s*["']?([^"'\s>]+)/i);
+		  const href = tag.match(/\bhref\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+		  const file = href && rel && /^stylesheet$/i.test(rel[1]) && referencedFile(href[1] || href[2] || href[3], page, config);
+		  if (!file) {
+				return tag;
+		  }
+		  const css = embedCssUrls(fs.readFileSync(file, 'utf8'), file, config, skipped);
+		  return `<style>${css.replace(/<\/style/gi, '<\\/style')}</style>`;
+	 });
+	 // Scripts are inlined, keeping their other attributes e.g. `type="module"`.
+	 // A script can't contain its closing tag, it is escaped.
+	 html = html.replace(/<script\b([^>]*)>\s*<\/script>/gi, (tag, attributes) => {
+		  const src = attributes.match(/\ssrc\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/i);
+		  const file = src && referencedFile(src[1] || src[2] || src[3], page, config);
+		  if (!file) {
+				return tag;
+		  }
+		  const js = fs.readFileSync(file, 'utf8').replace(/<\/script/gi, '<\\/script');
+		  return `<script${attributes.replace(src[0], '')}>${js}</script>`;
+	 });
+	 // Other local files, e.g. images and icons, are embedded as data URIs.
+	 html = html.replace(/(\s(?:src|href|poster)\s*=\s*)(["'])([^"']*)\2/gi, (match, attribute, quote, reference) => {
+		  const file = referencedFile(reference, page, config);
+		  if (!file || path.extname(file).toLowerCase() === '.html') {
+				return match;
+		  }
+		  const uri = dataUri(file, skipped);
+		  return uri ? `${attribute}${quote}${uri}${quote}` : match;
+	 });
+	 fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+	 fs.writeFileSync(output, html);
+	 return [...new Set(skipped)];
+}
+
+/**
+ * Find every file in a directory.
+ * @param {String} directory
+ * @returns {Array<String>}
+ */
+function listFiles(directory) {
+	 return fs.readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+		  const file = path.join(directory, entry.name);
+		  return entry.isDirectory() ? listFiles(file) : entry.isFile() ? [file] : [];
+	 });
+}
+
+/**
+ * Get where a prototype is exported to by default. It is in the output
+ * directory, so it is not built as a page and may be opened from the server.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} format - "html" or "zip"
+ * @returns {String} - e.g. "public/my-prototype.html"
+ */
+function defaultOutput(config, format) {
+	 return path.join(config.out, `${path.basename(process.cwd())}.${format}`);
+}
+
+/**
+ * Export the files written by a build as a zip file. Files left in the
+ * output directory by earlier builds, source maps, and previous exports
+ * are not included.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} output - the file to write
+ * @param {Array<Object>} results - see `build` in `lib/build.js`
+ */
+function exportZip(config, output, results) {
+	 const files = results.flatMap(result => result.file === config.assets ?
+		  // Assets are reported as the copied directory, list what was copied.
+		  listFiles(config.assets).map(file => assetOutput(file, config)) :
+		  result.outputs);
+	 const entries = {};
+	 for (const file of files.filter(file => !file.endsWith('.map'))) {
+		  entries[path.relative(config.out, file).split(path.sep).join('/')] = fs.readFileSync(file);
+	 }
+	 fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+	 fs.writeFileSync(output, zipSync(entries));
+}
+
+/**
+ * Export a built prototype so it can be sent to someone who does not
+ * run the workshop: as a single HTML file, or a zip of the built files.
+ * @param {Object} config - see `lib/config.js`, including export flags
+ * @param {Array<Object>} results - the results of `buildForExport`
+ * @returns {Object} - the `output` file written, and `notices` about it,
+ *     e.g. assets which were too large to embed
+ */
+function exportPrototype(config, results) {
+	 const output = config.output || defaultOutput(config, config.format);
+	 if (config.format === 'zip') {
+		  exportZip(config, output, results);
+		  return { output, notices: [] };
+	 }
+	 const skipped = exportHtml(config, output);
+	 return {
+		  output,
+		  notices: skipped.map(file => `${file} is larger than ${formatSize(embedLimit)} so it is not embedded in ${output}, it will be missing unless it is sent too`)
+	 };
+}
+
+module.exports = {
+	 exportFlags,
+	 buildForExport,
+	 exportPrototype
+};
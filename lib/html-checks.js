@@ -0,0 +1,257 @@
+const fs = require('fs');
+const path = require('path');
+const { outputName, cssOutputs } = require('./config');
+const { htmlOutput } = require('./html-files');
+
+// Comments, and the start and end tags of elements. The contents of
+// script and style elements are skipped, they are not markup.
+const tagPattern = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][\w:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'>]+))?)*)\s*\/?>/g;
+const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+// Form controls which need a label, and input types which don't.
+const formControls = ['input', 'select', 'textarea'];
+const unlabelledInputs = ['hidden', 'submit', 'reset', 'button', 'image'];
+
+/**
+ * Find the start tags of elements in an HTML page. This is not a full HTML
+ * parser, it finds enough to check for common mistakes.
+ * @param {String} html
+ * @returns {Array<Object>} - the `name` of each element, its `attributes`,
+ *     the `index` of its start tag, and how many `label` elements it is in
+ */
+function parseTags(html) {
+	 const tags = [];
+	 let labels = 0;
+	 let match;
+	 tagPattern.lastIndex = 0;
+	 while ((match = tagPattern.exec(html))) {
+		  const [tag, closing, tagName, attributeText] = match;
+		  if (!tagName) {
+				continue;
+		  }
+		  const name = tagName.toLowerCase();
+		  if (name === 'label') {
+				labels = Math.max(labels + (closing ? -1 : 1), 0);
+		  }
+		  if (closing) {
+				continue;
+		  }
+		  const attributes = {};
+		  let attribute;
+		  attributePattern.lastIndex = 0;
+		  while ((attribute = attributePattern.exec(attributeText))) {
+				const [, attributeName, double, single, unquoted] = attribute;
+				attributes[attributeName.toLowerCase()] = [double, single, unquoted].find(value => value !== undefined) || '';
+		  }
+		  tags.push({ name, attributes, index: match.index, labels: name === 'label' ? labels - 1 : labels });
+		  // Skip to the end of elements which contain text rather than markup.
+		  if (name === 'script' || name === 'style') {
+				const end = html.toLowerCase().indexOf(`</${name}`, match.index + tag.length);
+				tagPattern.lastIndex = end === -1 ? html.length : end;
+		  }
+	 }
+	 return tags;
+}
+
+/**
+ * @param {String} html
+ * @param {Number} index
+ * @returns {Object} - the 1 based `line` and `column` of an index in the page
+ */
+function position(html, index) {
+	 const lines = html.slice(0, index).split('\n');
+	 return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+/**
+ * Check `data-o-component` elements have their component's JavaScript
+ * imported, without it they won't initialise.
+ * @param {Array<Object>} tags
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Array<Object>} - problems, with the `tag` and a `message`
+ */
+function checkComponents(tags, config) {
+	 const entryPoints = config.js.filter(file => fs.existsSync(file));
+	 const source = entryPoints.map(file => fs.readFileSync(file, 'utf8')).join('\n');
+	 const problems = [];
+	 const checked = new Set();
+	 for (const tag of tags) {
+		  const component = tag.attributes['data-o-component'];
+		  if (!component || checked.has(component)) {
+				continue;
+		  }
+		  checked.add(component);
+		  const name = component.replace(/^@financial-times\//, '');
+		  const imported = new RegExp(`['"](@financial-times/)?${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(/[^'"]*)?['"]`).test(source);
+		  if (!imported) {
+				problems.push({
+					 tag,
+					 message: `${name} is used but its JavaScript is not imported in ${entryPoints[0] || config.js[0]}, add \`import '@financial-times/${name}';\` so it works`
+				});
+		  }
+	 }
+	 return problems;
+}
+
+/**
+ * Check the page is set up for Origami's core and enhanced experiences: the
+ * `<html>` element has a "core" class, which a script swaps for "enhanced".
+ * Pages without an `<html>` element, e.g. partial pages, are not checked.
+ * @param {Array<Object>} tags
+ * @param {String} html
+ * @returns {Array<Object>} - problems, with the `tag` and a `message`
+ */
+function checkCoreExperience(tags, html) {
+	 const root = tags.find(({ name }) => name === 'html');
+	 if (!root) {
+		  return [];
+	 }
+	 const problems = [];
+	 if (!(root.attributes.class || '').split(/\s+/).includes('core')) {
+		  problems.push({
+				tag: root,
+				message: 'the <html> element has no "core" class, add `class="core"` so the `o--if-js` and `o--if-no-js` classes and component styles work'
+		  });
+	 } else if (!/core[\s\S]*enhanced|enhanced[\s\S]*core/.test(inlineScripts(html))) {
+		  problems.push({
+				tag: root,
+				message: 'no script swaps the "core" class on the <html> element for "enhanced", add one to the <head> so the enhanced experience is shown when JavaScript runs'
+		  });
+	 }
+	 return problems;
+}
+
+/**
+ * @param {String} html
+ * @returns {String} - the contents of every inline script in a page
+ */
+function inlineScripts(html) {
+	 const scripts = [];
+	 const scriptPattern = /<script\b([^>]*)>([\s\S]*?)<\/script/gi;
+	 let match;
+	 while ((match = scriptPattern.exec(html))) {
+		  if (!/\bsrc\s*=/i.test(match[1])) {
+				scripts.push(match[2]);
+		  }
+	 }
+	 return scripts.join('\n');
+}
+
+/**
+ * Check stylesheets and scripts the page links to are built, e.g. a page
+ * which links to `src/main.css` rather than `main.css`.
+ * @param {Array<Object>} tags
+ * @param {String} file - the HTML page
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Array<Object>} - problems, with the `tag` and a `message`
+ */
+function checkReferences(tags, file, config) {
+	 const output = htmlOutput(file, config) || path.join(config.out, 'index.html');
+	 const built = [
+		  ...config.sass.flatMap(sass => cssOutputs(sass, config).flatMap(({ names }) => names)),
+		  ...config.js.map(js => outputName(js, '.js'))
+	 ];
+	 const problems = [];
+	 for (const tag of tags) {
+		  const isStylesheet = tag.name === 'link' && /\bstylesheet\b/i.test(tag.attributes.rel || '');
+		  const reference = isStylesheet ? tag.attributes.href : tag.name === 'script' ? tag.attributes.src : null;
+		  const referencePath = (reference || '').replace(/[?#].*$/, '');
+		  // Only local CSS and JavaScript is checked.
+		  if (!/\.(css|js)$/.test(referencePath) || /^([a-z][a-z0-9+.-]*:|\/\/|\/__ow\/)/i.test(referencePath)) {
+				continue;
+		  }
+		  const target = path.normalize(referencePath.startsWith('/') ?
+				path.join(config.out, referencePath) :
+				path.join(path.dirname(output), referencePath));
+		  const asset = path.join(config.assets, path.relative(path.join(config.out, path.basename(config.assets)), target));
+		  const isBuilt = path.dirname(target) === path.normalize(config.out) && built.includes(path.basename(target));
+		  if (isBuilt || fs.existsSync(target) || fs.existsSync(asset)) {
+				continue;
+		  }
+		  problems.push({
+				tag,
+				message: `"${reference}" does not match a built file, ${built.join(', ')} ${built.length === 1 ? 'is' : 'are'} built to ${config.out} and this page is served from ${output}`
+		  });
+	 }
+	 return problems;
+}
+
+/**
+ * Check ids are unique in the page.
+ * @param {Array<Object>} tags
+ * @returns {Array<Object>} - problems, with the `tag` and a `message`
+ */
+function checkIds(tags) {
+	 const ids = new Set();
+	 const problems = [];
+	 for (const tag of tags) {
+		  const id = tag.attributes.id;
+		  if (id === undefined) {
+				continue;
+		  }
+		  if (ids.has(id)) {
+				problems.push({ tag, message: `the id "${id}" is used more than once, ids must be unique` });
+		  }
+		  ids.add(id);
+	 }
+	 return problems;
+}
+
+/**
+ * Check for basic accessibility errors: images without alt text,
+ * and form controls without a label.
+ * @param {Array<Object>} tags
+ * @returns {Array<Object>} - problems, with the `tag` and a `message`
+ */
+function checkAccessibility(tags) {
+	 const labelled = new Set(tags.filter(({ name }) => name === 'label').map(({ attributes }) => attributes.for));
+	 const problems = [];
+	 for (const tag of tags) {
+		  const { name, attributes } = tag;
+		  const type = (attributes.type || 'text').toLowerCase();
+		  if ((name === 'img' || (name === 'input' && type === 'image')) && attributes.alt === undefined) {
+				problems.push({
+					 tag,
+					 message: `<${name}${attributes.src ? ` src="${attributes.src}"` : ''}> has no alt text, add an \`alt\` attribute which describes it, or \`alt=""\` if it is decorative`
+				});
+		  }
+		  if (!formControls.includes(name) || (name === 'input' && unlabelledInputs.includes(type))) {
+				continue;
+		  }
+		  const hasLabel = tag.labels > 0 ||
+				attributes['aria-label'] || attributes['aria-labelledby'] || attributes.title ||
+				(attributes.id && labelled.has(attributes.id));
+		  if (!hasLabel) {
+				problems.push({
+					 tag,
+					 message: `<${name}${attributes.name ? ` name="${attributes.name}"` : ''}> has no label, put it in a <label> or add one with a matching \`for\` attribute`
+				});
+		  }
+	 }
+	 return problems;
+}
+
+/**
+ * Check an HTML page for common mistakes with Origami markup, e.g. a
+ * component which is used but not imported, or an image without alt text.
+ * @param {String} file - the HTML page
+ * @param {String} html - the page's source
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Array<Object>} - warnings, see `lib/build-warnings.js`
+ */
+function checkHtml(file, html, config) {
+	 const tags = parseTags(html);
+	 return [
+		  ...checkCoreExperience(tags, html),
+		  ...checkReferences(tags, file, config),
+		  ...checkComponents(tags, config),
+		  ...checkIds(tags),
+		  ...checkAccessibility(tags)
+	 ]
+		  .sort((a, b) => a.tag.index - b.tag.index)
+		  .map(({ tag, message }) => Object.assign({ file }, position(html, tag.index), { message }));
+}
+
+module.exports = {
+	 checkHtml
+};
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Check whether a project file or directory should never be built as a
+ * page, i.e. dependencies, hidden files, the output directory, and assets
+ * which are copied as they are.
+ * @param {String} file - a path relative to the project directory
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Boolean}
+ */
+function isIgnored(file, config) {
+	 const relative = path.relative(process.cwd(), path.resolve(file));
+	 const parts = relative.split(path.sep);
+	 const within = directory => relative === directory || relative.startsWith(`${directory}${path.sep}`);
+	 return parts.some(part => part === 'node_modules' || (part.startsWith('.') && part !== '.' && part !== '..')) ||
+		  within(config.out) ||
+		  within(config.assets);
+}
+
+/**
+ * Find every HTML page in the project, including subdirectories.
+ * @param {Object} config - see `lib/config.js`
+ * @param {String} [directory] - the directory to search
+ * @returns {Array<String>} - paths relative to the project directory
+ */
+function findHtmlFiles(config, directory = '.') {
+	 const files = [];
+	 for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+		  const file = path.join(directory, entry.name);
+		  if (isIgnored(file, config)) {
+				continue;
+		  }
+		  if (entry.isDirectory()) {
+				files.push(...findHtmlFiles(config, file));
+		  } else if (entry.isFile() && path.extname(file) === '.html') {
+				files.push(file);
+		  }
+	 }
+	 return files;
+}
+
+/**
+ * Get where an HTML page is built to. The configured `html` page is
+ * built to `index.html`, other pages are mirrored at the same path.
+ * @param {String} file - a path relative to the project directory
+ * @param {Object} config - see `lib/config.js`
+ * @returns {String|null} - the output path, or null if the page is not built
+ *     because the configured `html` page replaces it
+ */
+function htmlOutput(file, config) {
+	 if (file === config.html) {
+		  return path.join(config.out, 'index.html');
+	 }
+	 if (file === 'index.html') {
+		  return null;
+	 }
+	 return path.join(config.out, file);
+}
+
+module.exports = {
+	 isIgnored,
+	 findHtmlFiles,
+	 htmlOutput
+};
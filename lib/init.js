@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { outputName } = require('./config');
+const { version } = require('../package.json');
+
+// Flags for the `ow init` command.
+const initFlags = {
+	 template: { type: 'string', choices: ['blank', 'article', 'form'], default: 'blank' },
+	 force: { type: 'boolean', default: false }
+};
+
+// The markup, Sass, JavaScript, and npm dependencies of each template.
+// Components are included in Sass with their mixin, and their
+// JavaScript initialises on the `o.DOMContentLoaded` event.
+const templates = {
+	 blank: {
+		  title: 'My Origami project',
+		  body: [
+				'<main>',
+				'\t<h1>My Origami project</h1>',
+				'\t<p class="o--if-js">This page has JavaScript.</p>',
+				'\t<p class="o--if-no-js">This page has no JavaScript.</p>',
+				'</main>'
+		  ],
+		  sass: [],
+		  js: [],
+		  dependencies: {}
+	 },
+	 article: {
+		  title: 'My Origami article',
+		  body: [
+				'<main class="o-typography-wrapper">',
+				'\t<h1>My Origami article</h1>',
+				'\t<p>Origami components style this article with <a href="https://registry.origami.ft.com/components/o-typography">o-typography</a>.</p>',
+				'\t<h2>A subheading</h2>',
+				'\t<p>Write your article here.</p>',
+				'\t<blockquote><p>A quote from the article.</p></blockquote>',
+				'</main>'
+		  ],
+		  sass: [
+				'@import \'@financial-times/o-typography/main\';',
+				'@include oTypography();'
+		  ],
+		  js: [
+				'import \'@financial-times/o-typography\';'
+		  ],
+		  dependencies: {
+				'@financial-times/o-typography': '^7.7.1'
+		  }
+	 },
+	 form: {
+		  title: 'My Origami form',
+		  body: [
+				'<main>',
+				'\t<h1>My Origami form</h1>',
+				'\t<form>',
+				'\t\t<label class="o-forms-field">',
+				'\t\t\t<span class="o-forms-title">',
+				'\t\t\t\t<span class="o-forms-title__main">Name</span>',
+				'\t\t\t</span>',
+				'\t\t\t<span class="o-forms-input o-forms-input--text">',
+				'\t\t\t\t<input type="text" name="name" required>',
+				'\t\t\t</span>',
+				'\t\t</label>',
+				'\t\t<label class="o-forms-field">',
+				'\t\t\t<span class="o-forms-title">',
+				'\t\t\t\t<span class="o-forms-title__main">Email</span>',
+				'\t\t\t</span>',
+				'\t\t\t<span class="o-forms-input o-forms-input--text">',
+				'\t\t\t\t<input type="email" name="email" required>',
+				'\t\t\t</span>',
+				'\t\t</label>',
+				'\t\t<button class="o-buttons o-buttons--primary" type="submit">Submit</button>',
+				'\t</form>',
+				'</main>'
+		  ],
+		  sass: [
+				'@import \'@financial-times/o-forms/main\';',
+				'@import \'@financial-times/o-buttons/main\';',
+				'@include oForms();',
+				'@include oButtons();'
+		  ],
+		  js: [
+				'import \'@financial-times/o-forms\';'
+		  ],
+		  dependencies: {
+				'@financial-times/o-buttons': '^7.11.1',
+				'@financial-times/o-forms': '^10.0.1'
+		  }
+	 }
+};
+
+/**
+ * Get a name for the project from its directory, e.g. "my-project".
+ * It is used as the npm package name and Origami system code.
+ * @param {String} directory
+ * @returns {String}
+ */
+function projectName(directory) {
+	 return path.basename(path.resolve(directory))
+		  .toLowerCase()
+		  .replace(/[^a-z0-9-]+/g, '-')
+		  .replace(/^-+|-+$/g, '') || 'origami-project';
+}
+
+/**
+ * Get the contents of each file in a starter project.
+ * @param {Object} config - see `lib/config.js`, including init flags
+ * @returns {Object} - file contents by path
+ */
+function projectFiles(config) {
+	 const template = templates[config.template];
+	 const name = projectName(process.cwd());
+	 const html = [
+		  '<!DOCTYPE html>',
+		  '<!-- The "core" class is replaced with "enhanced" when JavaScript runs. -->',
+		  '<html lang="en-GB" class="core">',
+		  '<head>',
+		  '\t<meta charset="utf-8">',
+		  '\t<meta name="viewport" content="width=device-width, initial-scale=1.0">',
+		  `\t<title>${template.title}</title>`,
+		  '\t<style>',
+		  '\t\t/* Hide enhanced experience content when JavaScript does not run, and vice versa. */',
+		  '\t\t.core .o--if-js,',
+		  '\t\t.enhanced .o--if-no-js {',
+		  '\t\t\tdisplay: none !important;',
+		  '\t\t}',
+		  '\t</style>',
+		  '\t<script>',
+		  '\t\tdocument.documentElement.className = document.documentElement.className.replace(/\\bcore\\b/g, \'enhanced\');',
+		  '\t</script>',
+		  // The page is built to the root of the output directory with the CSS and JavaScript.
+		  `\t<link rel="stylesheet" href="${outputName(config.sass[0], '.css')}">`,
+		  '</head>',
+		  '<body>',
+		  ...template.body.map(line => `\t${line}`),
+		  `\t<script defer src="${outputName(config.js[0], '.js')}"></script>`,
+		  '</body>',
+		  '</html>'
+	 ];
+	 const sass = [
+		  '// Origami components use the system code to identify your project,',
+		  '// e.g. when requesting fonts. Set it before including components.',
+		  `$system-code: "${name}";`,
+		  '',
+		  ...template.sass,
+		  ...template.sass.length ? [''] : [],
+		  'body {',
+		  '\tmargin: 0 auto;',
+		  '\tmax-width: 60em;',
+		  '\tpadding: 1em;',
+		  '}'
+	 ];
+	 const js = [
+		  ...template.js,
+		  ...template.js.length ? [''] : [],
+		  '// Origami components initialise on the "o.DOMContentLoaded" event.',
+		  'document.addEventListener(\'DOMContentLoaded\', function () {',
+		  '\tdocument.dispatchEvent(new CustomEvent(\'o.DOMContentLoaded\'));',
+		  '});'
+	 ];
+	 const packageJson = {
+		  name,
+		  private: true,
+		  scripts: {
+				start: 'ow',
+				build: 'ow build'
+		  },
+		  dependencies: template.dependencies,
+		  devDependencies: {
+				'@financial-times/origami-workshop': `^${version}`
+		  }
+	 };
+	 return {
+		  [config.html]: html.join('\n'),
+		  [config.sass[0]]: sass.join('\n'),
+		  [config.js[0]]: js.join('\n'),
+		  'package.json': JSON.stringify(packageJson, null, '\t')
+	 };
+}
+
+/**
+ * Create a starter Origami project: an HTML page, Sass, JavaScript,
+ * and a package.json. Existing files are not overwritten unless
+ * the `force` flag is set.
+ * @param {Object} config - see `lib/config.js`, including init flags
+ * @returns {Array<String>} - the files which were created
+ */
+function init(config) {
+	 const files = projectFiles(config);
+	 const existing = Object.keys(files).filter(file => fs.existsSync(file));
+	 if (existing.length && !config.force) {
+		  throw new Error(`Could not create a project, ${existing.join(', ')} already ${existing.length === 1 ? 'exists' : 'exist'}. Use --force to overwrite ${existing.length === 1 ? 'it' : 'them'}.`);
+	 }
+	 for (const [file, contents] of Object.entries(files)) {
+		  fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+		  fs.writeFileSync(path.resolve(file), `${contents}\n`);
+	 }
+	 return Object.keys(files);
+}
+
+module.exports = {
+	 init,
+	 initFlags
+};
@@ -0,0 +1,179 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Paths the server reserves for the live reload client.
+// They are prefixed so they won't clash with a users own files.
+const clientPath = '/__ow/client.js';
+const brandSwitcherPath = '/__ow/brand-switcher.js';
+const eventsPath = '/__ow/events';
+
+// Scripts the server adds to pages, by path.
+const clientSources = {
+	 [clientPath]: path.resolve(__dirname, 'client/live-reload.js'),
+	 [brandSwitcherPath]: path.resolve(__dirname, 'client/brand-switcher.js')
+};
+
+/**
+ * Add a script tag for the live reload client to an HTML page, and
+ * the brand switcher if there is more than one brand to switch between.
+ * The scripts are added before the closing body tag if there is one,
+ * otherwise they are appended to the page.
+ * @param {String} html
+ * @param {Object} [options]
+ * @param {Array<String>} [options.brands] - Origami brands CSS is built for
+ * @param {Array<String>} [options.stylesheets] - the names of CSS files
+ *     built from Sass, which are swapped for the chosen brand's CSS
+ * @returns {String}
+ */
+function injectClient(html, { brands = [], stylesheets = [] } = {}) {
+	 let script = `<script src="${clientPath}"></script>`;
+	 if (brands.length > 1) {
+		  script += `<script src="${brandSwitcherPath}" data-brands="${brands.join(' ')}" data-stylesheets="${stylesheets.join(' ')}"></script>`;
+	 }
+	 const closingBody = html.toLowerCase().lastIndexOf('</body>');
+	 if (closingBody === -1) {
+		  return `${html}\n${script}`;
+	 }
+	 return `${html.slice(0, closingBody)}${script}\n${html.slice(closingBody)}`;
+}
+
+/**
+ * Create a live reload service for the workshop server.
+ * Connected pages are sent Server-Sent Events when a build completes.
+ * @param {Object} [clientOptions] - see `injectClient`
+ */
+function createLiveReload(clientOptions = {}) {
+	 // Responses for pages which are listening for build events.
+	 const clients = new Set();
+	 // Errors from the latest build of each file which failed.
+	 // These are sent to pages as they connect, so a page which
+	 // reloads still shows errors for other files.
+	 const buildErrors = new Map();
+
+	 /**
+	  * Respond to requests for the live reload client or events.
+	  * @param {http.IncomingMessage} request
+	  * @param {http.ServerResponse} response
+	  * @returns {Boolean} - true if the request was handled
+	  */
+	 function handle(request, response) {
+		  const { pathname } = new URL(request.url, 'http://localhost');
+		  if (clientSources[pathname]) {
+				response.writeHead(200, {
+					 'Content-Type': 'application/javascript; charset=utf-8',
+					 'Cache-Control': 'no-store'
+				});
+				fs.createReadStream(clientSources[pathname]).pipe(response);
+				return true;
+		  }
+		  if (pathname === eventsPath) {
+				response.writeHead(200, {
+					 'Content-Type': 'text/event-stream',
+					 'Cache-Control': 'no-store',
+					 'Connection': 'keep-alive'
+				});
+				response.write(': connected\n\n');
+				if (buildErrors.size) {
+					 write(response, 'errors', { errors: allErrors() });
+				}
+				clients.add(response);
+				request.on('close', () => clients.delete(response));
+				return true;
+		  }
+		  return false;
+	 }
+
+	 /**
+	  * Write an event to a page.
+	  * @param {http.ServerResponse} client
+	  * @param {String} event
+	  * @param {Object} data
+	  */
+	 function write(client, event, data) {
+		  client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+	 }
+
+	 /**
+	  * @returns {Array<Object>} - errors for every file which failed to build
+	  */
+	 function allErrors() {
+		  return [].concat(...buildErrors.values());
+	 }
+
+	 /**
+	  * Tell every connected page a file has been rebuilt.
+	  * A "reload" event reloads the page, a "css" event swaps
+	  * stylesheets which link to `data.href` in place, and an
+	  * "errors" event shows an overlay of `data.errors`.
+	  * @param {String} event - the event name, "reload", "css", or "errors"
+	  * @param {Object} data - data to send to the page
+	  */
+	 function send(event, data = {}) {
+		  for (const client of clients) {
+				write(client, event, data);
+		  }
+	 }
+
+	 /**
+	  * Show errors for a file which failed to build in every connected page.
+	  * @param {String} file - the source file which failed to build
+	  * @param {Array<Object>} errors - see `lib/build-errors.js`
+	  */
+	 function reportErrors(file, errors) {
+		  buildErrors.set(file, errors);
+		  send('errors', { errors: allErrors() });
+	 }
+
+	 /**
+	  * Remove errors for a file which has built successfully or been removed.
+	  * @param {String} file
+	  */
+	 function clearErrors(file) {
+		  if (buildErrors.delete(file)) {
+				send('errors', { errors: allErrors() });
+		  }
+	 }
+
+	 // serve-handler methods which add the live reload client
+	 // to HTML pages as they are served.
+	 const methods = {
+		  async lstat(file) {
+				const stats = await fs.promises.lstat(file);
+				if (path.extname(file) !== '.html' || !stats.isFile()) {
+					 return stats;
+				}
+				// Report the size of the page once the client is added,
+				// serve-handler uses it for the Content-Length header.
+				const html = await fs.promises.readFile(file, 'utf8');
+				stats.size = Buffer.byteLength(injectClient(html, clientOptions));
+				return stats;
+		  },
+		  async createReadStream(file, options = {}) {
+				if (path.extname(file) !== '.html') {
+					 return fs.createReadStream(file, options);
+				}
+				const html = await fs.promises.readFile(file, 'utf8');
+				const page = Buffer.from(injectClient(html, clientOptions));
+				const end = options.end === undefined ? page.length : options.end + 1;
+				return Readable.from([page.slice(options.start || 0, end)]);
+		  }
+	 };
+
+	 /**
+	  * End all event streams so the server can close.
+	  */
+	 function close() {
+		  for (const client of clients) {
+				client.end();
+		  }
+		  clients.clear();
+	 }
+
+	 return { handle, send, reportErrors, clearErrors, methods, close };
+}
+
+module.exports = {
+	 createLiveReload,
+	 injectClient
+};
@@ -0,0 +1,133 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Find the mock file for a request path, e.g. `mocks/api/articles.json`
+ * or `mocks/api/articles.js` for "/api/articles". A path ending in a
+ * slash, or a directory, uses the `index` file in it.
+ * @param {String} directory - the mocks directory
+ * @param {String} pathname - the request path, e.g. "/api/articles"
+ * @returns {String|null} - the mock file, or null if there is none
+ */
+function findMock(directory, pathname) {
+	 let decoded;
+	 try {
+		  decoded = decodeURIComponent(pathname);
+	 } catch (error) {
+		  return null;
+	 }
+	 const root = path.resolve(directory);
+	 const base = path.join(root, decoded);
+	 // Don't serve files outside the mocks directory.
+	 if (base !== root && !base.startsWith(`${root}${path.sep}`)) {
+		  return null;
+	 }
+	 const candidates = [
+		  `${base}.json`,
+		  `${base}.js`,
+		  path.join(base, 'index.json'),
+		  path.join(base, 'index.js')
+	 ];
+	 return candidates.find(file => fs.existsSync(file) && fs.statSync(file).isFile()) || null;
+}
+
+/**
+ * Read the body of a request.
+ * @param {http.IncomingMessage} request
+ * @returns {Promise<String>}
+ */
+function readBody(request) {
+	 return new Promise((resolve, reject) => {
+		  let body = '';
+		  request.on('data', chunk => {
+				body += chunk.toString('utf8');
+		  });
+		  request.on('end', () => resolve(body));
+		  request.on('error', reject);
+	 });
+}
+
+/**
+ * Get the mock response for a request. A JSON file is its body. A
+ * JavaScript module exports the response, or a function which is called
+ * with the request's `method`, `path`, `query`, `headers`, and `body` and
+ * returns it. The module is read again for each request so changes are
+ * used without restarting.
+ * @param {String} file - the mock file
+ * @param {http.IncomingMessage} request
+ * @param {URL} url - the request url
+ * @returns {Promise<Object>} - the `status`, `headers`, and `body` of the
+ *     response, and the `delay` in milliseconds before it is sent
+ */
+async function mockResponse(file, request, url) {
+	 if (file.endsWith('.json')) {
+		  return {
+				status: 200,
+				headers: { 'Content-Type': 'application/json; charset=utf-8' },
+				body: fs.readFileSync(file, 'utf8'),
+				delay: 0
+		  };
+	 }
+	 delete require.cache[require.resolve(file)];
+	 let mock = require(file);
+	 if (typeof mock === 'function') {
+		  mock = await mock({
+				method: request.method,
+				path: url.pathname,
+				query: Object.fromEntries(url.searchParams),
+				headers: request.headers,
+				body: await readBody(request)
+		  });
+	 }
+	 const { status = 200, headers = {}, body = '', delay = 0 } = mock || {};
+	 const isText = typeof body === 'string' || Buffer.isBuffer(body);
+	 return {
+		  status,
+		  headers: isText ? headers : Object.assign({ 'Content-Type': 'application/json; charset=utf-8' }, headers),
+		  body: isText ? body : JSON.stringify(body),
+		  delay
+	 };
+}
+
+/**
+ * Create mock routes for the workshop server from files in the mocks
+ * directory, so prototypes can fetch realistic data without a backend.
+ * @param {Object} config - see `lib/config.js`
+ * @param {Function} [onError] - called with the request path and the
+ *     error when a mock fails
+ */
+function createMocks(config, onError = () => {}) {
+	 /**
+	  * Respond to requests which have a mock file.
+	  * @param {http.IncomingMessage} request
+	  * @param {http.ServerResponse} response
+	  * @returns {Boolean} - true if the request was handled
+	  */
+	 function handle(request, response) {
+		  const url = new URL(request.url, 'http://localhost');
+		  const file = findMock(config.mocks, url.pathname);
+		  if (!file) {
+				return false;
+		  }
+		  mockResponse(file, request, url)
+				.then(({ status, headers, body, delay }) => {
+					 setTimeout(() => {
+						  response.writeHead(status, headers);
+						  response.end(body);
+					 }, delay);
+				})
+				.catch(mockError => {
+					 const error = new Error(`The mock ${path.relative(process.cwd(), file)} for ${url.pathname} failed: ${mockError.message}`);
+					 onError(url.pathname, error);
+					 response.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+					 response.end(error.message);
+				});
+		  return true;
+	 }
+
+	 return { handle };
+}
+
+module.exports = {
+	 createMocks
+};
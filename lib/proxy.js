@@ -0,0 +1,83 @@
+const http = require('http');
+const https = require('https');
+
+/**
+ * Get the path prefix a proxy rule matches, e.g. "/api" for "/api/*".
+ * @param {String} rule - a key of the `proxy` option
+ * @returns {String}
+ */
+function rulePrefix(rule) {
+	 return rule.replace(/\/\*?$/, '');
+}
+
+/**
+ * Find the target to forward a request path to. The most specific rule wins.
+ * @param {Object} rules - see the `proxy` option in `lib/config.js`
+ * @param {String} pathname - the request path, e.g. "/api/articles"
+ * @returns {String|null} - the target url, or null if no rule matches
+ */
+function findTarget(rules, pathname) {
+	 const matches = Object.keys(rules)
+		  .filter(rule => {
+				const prefix = rulePrefix(rule);
+				return pathname === prefix || pathname.startsWith(`${prefix}/`) || prefix === '';
+		  })
+		  .sort((a, b) => rulePrefix(b).length - rulePrefix(a).length);
+	 return matches.length ? rules[matches[0]] : null;
+}
+
+/**
+ * Create a proxy for the workshop server, which forwards requests to
+ * other servers, e.g. `/api/*` to a backend running locally. Pages fetch
+ * from the workshop server, so there are no cross-origin requests.
+ * @param {Object} config - see `lib/config.js`
+ * @param {Function} [onError] - called with the request path and the
+ *     error when a request can't be forwarded
+ */
+function createProxy(config, onError = () => {}) {
+	 /**
+	  * Forward requests which match a proxy rule.
+	  * @param {http.IncomingMessage} request
+	  * @param {http.ServerResponse} response
+	  * @returns {Boolean} - true if the request was handled
+	  */
+	 function handle(request, response) {
+		  const { pathname } = new URL(request.url, 'http://localhost');
+		  const target = findTarget(config.proxy, pathname);
+		  if (!target) {
+				return false;
+		  }
+		  // The request path is added to the target's path, e.g. "/api/articles"
+		  // to "http://localhost:8080/v1" is forwarded to "http://localhost:8080/v1/api/articles".
+		  const targetUrl = new URL(target);
+		  const url = new URL(`${targetUrl.pathname.replace(/\/$/, '')}${request.url}`, targetUrl);
+		  const headers = Object.assign({}, request.headers, {
+				host: url.host,
+				'x-forwarded-host': request.headers.host,
+				'x-forwarded-proto': request.socket.encrypted ? 'https' : 'http'
+		  });
+		  const client = url.protocol === 'https:' ? https : http;
+		  const proxyRequest = client.request(url, { method: request.method, headers }, proxyResponse => {
+				response.writeHead(proxyResponse.statusCode, proxyResponse.headers);
+				proxyResponse.pipe(response);
+		  });
+		  proxyRequest.on('error', requestError => {
+				const error = new Error(`Could not forward ${pathname} to ${url.href}: ${requestError.message}`);
+				onError(pathname, error);
+				if (response.headersSent) {
+					 response.destroy();
+					 return;
+				}
+				response.writeHead(502, { 'Content-Type': 'text/plain; charset=utf-8' });
+				response.end(error.message);
+		  });
+		  request.pipe(proxyRequest);
+		  return true;
+	 }
+
+	 return { handle };
+}
+
+module.exports = {
+	 createProxy
+};
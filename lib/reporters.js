@@ -0,0 +1,234 @@
+const fs = require('fs');
+const chalk = require('chalk');
+const Spinnies = require('spinnies');
+const { buildErrors, errorMessage } = require('./build-errors');
+const { warningText } = require('./build-warnings');
+const { formatSize } = require('./sizes');
+
+const tutorialUrl = 'https://origami.ft.com/documentation/tutorials/manual-build/';
+
+/**
+ * Describe how long a build took, e.g. "120ms" or "1.5s".
+ * @param {Number} milliseconds
+ * @returns {String}
+ */
+function formatDuration(milliseconds) {
+	 return milliseconds < 1000 ? `${milliseconds}ms` : `${(milliseconds / 1000).toFixed(1)}s`;
+}
+
+/**
+ * Describe a built file and its size if it was measured,
+ * e.g. "public/main.js 12.3 kB (4.1 kB gzipped, +120 B)".
+ * @param {String} output
+ * @param {Array<Object>} sizes - see `createSizeReport` in `lib/sizes.js`
+ * @returns {String}
+ */
+function outputText(output, sizes) {
+	 const measured = sizes.find(({ file }) => file === output);
+	 if (!measured) {
+		  return output;
+	 }
+	 const change = measured.change ? `, ${measured.change > 0 ? '+' : ''}${formatSize(measured.change)}` : '';
+	 return `${output} ${formatSize(measured.size)} (${formatSize(measured.gzip)} gzipped${change})`;
+}
+
+/**
+ * Describe a successful build, e.g. "√ built src/main.scss to public/main.css in 120ms",
+ * or tests which passed, e.g. "√ tested test/main.test.js in 80ms, 3 tests passed".
+ * Warnings are counted, or listed below with the "detail" warnings option.
+ * Built files over their budget, and the largest packages bundled into
+ * JavaScript, are listed below too.
+ * @param {String} file
+ * @param {Object} result - see `success`
+ * @param {String} warningMode - "summary" or "detail"
+ * @returns {String}
+ */
+function successText(file, { action = 'built', outputs = [], duration, warnings = [], sizes = [], packages = [], tests }, warningMode) {
+	 const to = outputs.length ? ` to ${outputs.map(output => outputText(output, sizes)).join(', ')}` : '';
+	 const time = duration === undefined ? '' : ` in ${formatDuration(duration)}`;
+	 const passed = tests ? `, ${tests.length} ${tests.length === 1 ? 'test' : 'tests'} passed` : '';
+	 let text = `√ ${action} ${file}${to}${time}${passed}`;
+	 if (warnings.length) {
+		  text += chalk.yellow(` with ${warnings.length} ${warnings.length === 1 ? 'warning' : 'warnings'}`);
+	 }
+	 if (warningMode === 'detail') {
+		  text += warnings.map(warning => chalk.yellow(`\n ! ${warningText(warning)}`)).join('');
+	 }
+	 for (const { file: output, gzip, budget } of sizes.filter(({ budget }) => budget)) {
+		  const over = `${output} is ${formatSize(gzip)} gzipped, over its ${formatSize(budget.limit)} ${budget.level} budget`;
+		  text += budget.level === 'error' ? chalk.red(`\n × ${over}`) : chalk.yellow(`\n ! ${over}`);
+	 }
+	 if (packages.length) {
+		  text += `\n largest packages: ${packages.slice(0, 3).map(({ name, size }) => `${name} ${formatSize(size)}`).join(', ')}`;
+	 }
+	 return text;
+}
+
+/**
+ * Describe a failed build, e.g. "× error building src/main.js" then the error.
+ * @param {String} file
+ * @param {Error} error
+ * @param {String} action - e.g. "building" or "copying"
+ * @returns {String}
+ */
+function errorText(file, error, action) {
+	 return `× error ${action} ${file}\n ${errorMessage(error, file)}`;
+}
+
+/**
+ * Describe where the server is running.
+ * @param {Object} urls - see `listening`
+ * @returns {String}
+ */
+function listeningText({ url, networkUrls = [], componentsUrl, certificate = null }) {
+	 return `Building Sass, JavaScript, and serving HTML for the Origami manual build tutorial!\n${tutorialUrl}\n\n` +
+		  `Your code is running at: ${url}\n` +
+		  networkUrls.map(networkUrl => `On your network at: ${networkUrl}\n`).join('') +
+		  `Browse Origami component demos at: ${componentsUrl}\n` +
+		  (certificate ? `The HTTPS certificate is self-signed, accept the browser's warning or trust ${certificate}\n` : '');
+}
+
+/**
+ * Report build status with one message per file, which is updated in place
+ * as the status of a build changes. For interactive terminals.
+ */
+function createSpinnerReporter({ warnings: warningMode }) {
+	 // Spinnies allows us to output one message per built file and
+	 // update the same message when the status of a build changes.
+	 // However, any spinner which is complete or failed is removed
+	 // automatically which leads to a new line every time a file
+	 // is built, and persistent error messages. To avoid this,
+	 // make the "spinner" which prepends the message blank and
+	 // never mark a spinner as complete, just update its message.
+	 const spinnies = new Spinnies({
+		  spinner: {
+				"interval": 30,
+				"frames": ['']
+		  }
+	 });
+	 const message = (file, text) => {
+		  try {
+				spinnies.update(file, { text });
+		  } catch (error) {
+				spinnies.add(file, { text });
+		  }
+	 };
+	 return {
+		  start: (file, action = 'building') => message(file, `- ${action} ${file}`),
+		  success: (file, result = {}) => message(file, successText(file, result, warningMode)),
+		  error: (file, error, action = 'building') => message(file, chalk.red(errorText(file, error, action))),
+		  notice: (file, text) => message(file, `! ${text}`),
+		  remove: file => {
+				try {
+					 spinnies.remove(file);
+				} catch (error) {
+					 // There was no message for the file.
+				}
+		  },
+		  listening: urls => console.log(chalk.green(listeningText(urls)))
+	 };
+}
+
+/**
+ * Report build status with a line per event, for logs which are not
+ * interactive, e.g. in CI. Errors are written to stderr.
+ */
+function createPlainReporter({ warnings: warningMode }) {
+	 return {
+		  start: (file, action = 'building') => console.log(`- ${action} ${file}`),
+		  success: (file, result = {}) => console.log(chalk.green(successText(file, result, warningMode))),
+		  error: (file, error, action = 'building') => console.error(chalk.red(errorText(file, error, action))),
+		  notice: (file, text) => console.log(`! ${text}`),
+		  remove: file => console.log(`- removed ${file}`),
+		  listening: urls => console.log(chalk.green(listeningText(urls)))
+	 };
+}
+
+/**
+ * Report build status as newline delimited JSON, with an object per event,
+ * for editors and other tools. Every object has an `event` property:
+ * - "build-start" with the `file` being built, and the `action` e.g.
+ *   "building" or "testing".
+ * - "build-success" with the `file` built, the `action` e.g. "built" or
+ *   "copied", its `duration` in milliseconds, `outputs` with each
+ *   output `file` and its `size` in bytes, `warnings` with the `file`,
+ *   `line`, `column`, `message`, and `count` of each distinct warning, and
+ *   for JavaScript the `packages` in it. CSS and JavaScript outputs have
+ *   their `gzip` size, `change` in gzipped size since the previous build,
+ *   and the `budget` they exceed too. Tested files have the `tests` run.
+ * - "build-error" with the `file`, a `message`, and structured `errors` with
+ *   the `file`, `line`, `column`, `message`, and `frame` of each error.
+ *   Tested files have the `tests` run, with the `name` of each, whether
+ *   it `passed`, and a failure `message`.
+ * - "notice" with a `file` and `message`, e.g. that a file is missing.
+ * - "file-removed" with the source `file` which was removed.
+ * - "server-listening" with the `url` of the server, its `networkUrls`,
+ *   `componentsUrl`, and self-signed `certificate` file or null.
+ */
+function createJsonReporter() {
+	 const write = (event, data) => process.stdout.write(`${JSON.stringify(Object.assign({ event }, data))}\n`);
+	 const size = file => {
+		  try {
+				return fs.statSync(file).size;
+		  } catch (error) {
+				return null;
+		  }
+	 };
+	 return {
+		  start: (file, action = 'building') => write('build-start', { file, action }),
+		  success: (file, { action = 'built', outputs = [], duration = null, warnings = [], sizes = [], packages, tests } = {}) => write('build-success', {
+				file,
+				action,
+				duration,
+				outputs: outputs.map(output => Object.assign(
+					 { file: output, size: size(output) },
+					 sizes.find(measured => measured.file === output)
+				)),
+				warnings,
+				packages,
+				tests
+		  }),
+		  error: (file, error) => write('build-error', {
+				file,
+				message: errorMessage(error, file),
+				errors: buildErrors(error, file),
+				tests: error.tests
+		  }),
+		  notice: (file, message) => write('notice', { file, message }),
+		  remove: file => write('file-removed', { file }),
+		  listening: urls => write('server-listening', urls)
+	 };
+}
+
+/**
+ * Create a reporter for build status. Each reporter has these methods:
+ * - `start(file, action)` when a file starts building, or another action
+ *   e.g. "testing".
+ * - `success(file, { action, outputs, duration, warnings, sizes, packages, tests })`
+ *   when a file has built, or its `tests` passed.
+ * - `error(file, error, action)` when a file fails to build.
+ * - `notice(file, message)` to tell the user about a file, e.g. it is missing.
+ * - `remove(file)` when a source file is removed.
+ * - `listening({ url, networkUrls, componentsUrl, certificate })` when the
+ *   server has started.
+ * @param {String} [name] - "spinner", "plain", or "json". By default "spinner"
+ *     for interactive terminals, otherwise "plain".
+ * @param {Object} [options]
+ * @param {String} [options.warnings] - "summary" to count the warnings of
+ *     each file, or "detail" to list them. JSON always lists them.
+ * @returns {Object}
+ */
+function createReporter(name, { warnings = 'summary' } = {}) {
+	 name = name || (process.stdout.isTTY ? 'spinner' : 'plain');
+	 if (name === 'json') {
+		  return createJsonReporter();
+	 }
+	 if (name === 'plain') {
+		  return createPlainReporter({ warnings });
+	 }
+	 return createSpinnerReporter({ warnings });
+}
+
+module.exports = {
+	 createReporter
+};
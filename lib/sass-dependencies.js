@@ -0,0 +1,106 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Remove comments from Sass source so commented out imports are ignored.
+ * @param {String} source
+ * @returns {String}
+ */
+function stripComments(source) {
+	 return source
+		  .replace(/\/\*[\s\S]*?\*\//g, '')
+		  .replace(/(^|\s)\/\/.*$/gm, '$1');
+}
+
+/**
+ * Get the urls loaded by `@import`, `@use`, and `@forward` rules.
+ * Plain CSS imports and built-in Sass modules are not included.
+ * @param {String} source
+ * @returns {Array<String>}
+ */
+function loadedUrls(source) {
+	 const urls = [];
+	 const rules = /@(import|use|forward)\s+([^;{}]+)/g;
+	 let rule;
+	 while ((rule = rules.exec(stripComments(source))) !== null) {
+		  const [, name, params] = rule;
+		  const strings = (params.match(/"[^"]*"|'[^']*'/g) || [])
+				.map(string => string.slice(1, -1));
+		  // `@use` and `@forward` load one url, other strings
+		  // are configuration e.g. `@use "a" with ($b: "c")`.
+		  urls.push(...(name === 'import' ? strings : strings.slice(0, 1)));
+	 }
+	 return urls.filter(url => !(
+		  url.startsWith('sass:') ||
+		  /^(https?:)?\/\//.test(url) ||
+		  url.endsWith('.css')
+	 ));
+}
+
+/**
+ * Get the files Sass would try to load for a url, in order.
+ * @param {String} url - e.g. "@financial-times/o-grid/main"
+ * @param {String} directory - the directory to resolve from
+ * @returns {Array<String>}
+ */
+function candidates(url, directory) {
+	 const file = path.resolve(directory, url);
+	 const { dir, name, ext } = path.parse(file);
+	 if (['.scss', '.sass'].includes(ext)) {
+		  return [file, path.join(dir, `_${name}${ext}`)];
+	 }
+	 const files = [];
+	 for (const extension of ['.scss', '.sass', '.css']) {
+		  files.push(`${file}${extension}`, path.join(dir, `_${path.basename(file)}${extension}`));
+	 }
+	 for (const extension of ['.scss', '.sass', '.css']) {
+		  files.push(path.join(file, `_index${extension}`), path.join(file, `index${extension}`));
+	 }
+	 return files;
+}
+
+/**
+ * Find every file loaded when compiling a Sass file, including
+ * partials and dependencies in load paths such as `node_modules`.
+ * The result includes the files a relative import would load if they
+ * do not exist yet, so a build can be retried when they are created.
+ * @param {String} file - the Sass file to compile
+ * @param {Object} options
+ * @param {Array<String>} options.loadPaths - directories to resolve imports from
+ * @returns {Array<String>} - file paths relative to the working directory
+ */
+function sassDependencies(file, { loadPaths = [] } = {}) {
+	 const found = new Set();
+	 const missing = new Set();
+	 const pending = [path.resolve(file)];
+	 while (pending.length) {
+		  const current = pending.pop();
+		  if (found.has(current)) {
+				continue;
+		  }
+		  found.add(current);
+		  let source;
+		  try {
+				source = fs.readFileSync(current, 'utf8');
+		  } catch (error) {
+				continue;
+		  }
+		  for (const url of loadedUrls(source)) {
+				const relative = candidates(url, path.dirname(current));
+				const loaded = [
+					 ...relative,
+					 ...loadPaths.flatMap(loadPath => candidates(url, loadPath))
+				].find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile());
+				if (loaded) {
+					 pending.push(loaded);
+				} else {
+					 relative.forEach(candidate => missing.add(candidate));
+				}
+		  }
+	 }
+	 return [...found, ...missing].map(loaded => path.relative(process.cwd(), loaded));
+}
+
+module.exports = {
+	 sassDependencies
+};
@@ -0,0 +1,124 @@
+const path = require('path');
+const { fileURLToPath, pathToFileURL } = require('url');
+const sass = require('sass-embedded');
+const postcss = require('postcss');
+const autoprefixer = require('autoprefixer');
+const { sassWarning } = require('./build-warnings');
+
+// The URL the Sass entry point is imported with when building for a brand.
+const brandEntry = 'origami-workshop:entry';
+
+/**
+ * Create a long-lived Sass compiler. Starting a compiler is slow, so one
+ * compiler is reused for every build. It is the native Dart Sass compiler,
+ * run in its own process, so compiling does not block the server.
+ * Dependencies are loaded from `node_modules`.
+ */
+function createSassCompiler() {
+	 let compiler;
+
+	 /**
+	  * Compile a Sass file to CSS.
+	  * @param {String} file - the Sass file to compile
+	  * @param {Object} [options]
+	  * @param {Boolean} [options.sourceMap] - generate a source map
+	  * @param {Boolean} [options.minify] - output compressed CSS
+	  * @param {String} [options.brand] - the Origami brand to build for,
+	  *     set as `$o-brand` before the Sass is imported
+	  * @param {Array<String>} [options.loadPaths] - more directories to load
+	  *     dependencies from, after `node_modules`
+	  * @returns {Promise<Object>} - the CSS, its source map if requested,
+	  *     the paths of every file loaded relative to the working directory,
+	  *     including the entry point, and the `warnings` logged, see
+	  *     `lib/build-warnings.js`
+	  */
+	 async function compile(file, { sourceMap = true, minify = false, brand = null, loadPaths: extraLoadPaths = [] } = {}) {
+		  compiler = compiler || sass.initAsyncCompiler();
+		  // Collect warnings, such as deprecations, rather than printing them.
+		  const warnings = [];
+		  const loadPaths = ['node_modules', ...extraLoadPaths];
+		  const options = {
+				loadPaths,
+				sourceMap,
+				style: minify ? 'compressed' : 'expanded',
+				// Log every warning, rather than Sass omitting repeated
+				// deprecations, so they can be grouped and filtered.
+				verbose: true,
+				logger: {
+					 warn: (message, warnOptions) => warnings.push(sassWarning(message, warnOptions, file, loadPaths)),
+					 debug: () => {}
+				}
+		  };
+		  // Importing the entry point, rather than adding the variable to
+		  // its source, keeps the lines and columns of errors correct.
+		  const result = brand ?
+				await (await compiler).compileStringAsync(`$o-brand: ${JSON.stringify(brand)};\n@import "${brandEntry}";`, {
+					 ...options,
+					 importers: [{
+						  findFileUrl: url => url === brandEntry ? pathToFileURL(path.resolve(file)) : null
+					 }]
+				}) :
+				await (await compiler).compileAsync(file, options);
+		  return {
+				css: result.css,
+				sourceMap: result.sourceMap,
+				loadedFiles: result.loadedUrls
+					 .filter(url => url.protocol === 'file:')
+					 .map(url => path.relative(process.cwd(), fileURLToPath(url))),
+				warnings
+		  };
+	 }
+
+	 /**
+	  * Stop the compiler.
+	  */
+	 async function dispose() {
+		  if (compiler) {
+				await (await compiler).dispose();
+				compiler = null;
+		  }
+	 }
+
+	 return { compile, dispose };
+}
+
+/**
+ * Run CSS through PostCSS/autoprefixer.
+ * Many components use `appearance: none;` which needs vendor prefixes.
+ * @param {String} css - CSS compiled by a Sass compiler
+ * @param {Object} options
+ * @param {String} options.from - the Sass file the CSS was compiled from
+ * @param {String} options.to - the CSS file which will be written
+ * @param {Array<String>} options.browserslist - browsers to add prefixes for
+ * @param {Object} [options.prev] - the source map from the Sass compiler
+ * @param {String|Boolean} [options.sourceMap] - "inline", "external", or false
+ * @param {Array<Object>} [options.plugins] - more PostCSS plugins to run
+ * @returns {Promise<Object>} - the PostCSS result
+ */
+async function processCss(css, { from, to, browserslist, prev, sourceMap = 'inline', plugins = [] }) {
+	 // An external source map is returned as `result.map` without
+	 // a `sourceMappingURL` comment, so it may be renamed.
+	 let map = false;
+	 if (sourceMap) {
+		  map = {
+				inline: sourceMap === 'inline',
+				annotation: sourceMap === 'inline',
+				prev: prev || false
+		  };
+	 }
+
+	 return postcss([
+		  autoprefixer({
+				overrideBrowserslist: browserslist,
+				cascade: false,
+				flexbox: 'no-2009',
+				grid: true
+		  }),
+		  ...plugins
+	 ]).process(css, { from, to, map });
+}
+
+module.exports = {
+	 createSassCompiler,
+	 processCss
+};
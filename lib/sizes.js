@@ -0,0 +1,158 @@
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Units sizes may be given in, e.g. "30kB", in bytes.
+const units = {
+	 b: 1,
+	 kb: 1000,
+	 mb: 1000 * 1000
+};
+
+/**
+ * Parse a size, e.g. `30000`, "30kB", or "1.5 MB".
+ * @param {Number|String} value
+ * @returns {Number} - the size in bytes, or NaN if it is not a size
+ */
+function parseSize(value) {
+	 if (typeof value === 'number') {
+		  return value >= 0 ? value : NaN;
+	 }
+	 const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?) *(b|kb|mb)?$/i);
+	 if (!match) {
+		  return NaN;
+	 }
+	 return Math.round(Number(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+}
+
+/**
+ * Describe a size, e.g. "512 B" or "12.3 kB".
+ * @param {Number} bytes
+ * @returns {String}
+ */
+function formatSize(bytes) {
+	 const absolute = Math.abs(bytes);
+	 if (absolute < units.kb) {
+		  return `${bytes} B`;
+	 }
+	 if (absolute < units.mb) {
+		  return `${(bytes / units.kb).toFixed(1)} kB`;
+	 }
+	 return `${(bytes / units.mb).toFixed(2)} MB`;
+}
+
+// The `sourceMappingURL` comment at the end of built CSS or JavaScript,
+// with the name of its source map or the whole map inline. A CSS comment
+// is on a new line, a JavaScript comment is on its own line.
+const sourceMapComment = /(\n?\/\*# sourceMappingURL=[^*]*\*\/|\/\/# sourceMappingURL=\S*)\s*$/;
+
+/**
+ * Find the budget an output exceeds, if any. Budgets are for gzipped
+ * sizes, which is what browsers download.
+ * @param {String} name - the output name without a content hash, e.g. "main.js"
+ * @param {Number} gzip - the gzipped size of the output
+ * @param {Object} budgets - see the `budgets` option in `lib/config.js`
+ * @returns {Object|null} - the `level` exceeded, "warning" or "error", and its `limit` in bytes
+ */
+function exceededBudget(name, gzip, budgets) {
+	 const budget = budgets[name];
+	 if (!budget) {
+		  return null;
+	 }
+	 for (const level of ['error', 'warning']) {
+		  if (budget[level] !== undefined && gzip > parseSize(budget[level])) {
+				return { level, limit: parseSize(budget[level]) };
+		  }
+	 }
+	 return null;
+}
+
+/**
+ * Create a report of the size of built CSS and JavaScript. The report
+ * remembers the size of each output, so later builds show how much it changed.
+ */
+function createSizeReport() {
+	 // Gzipped sizes of outputs from the previous build, by file.
+	 const previous = new Map();
+
+	 /**
+	  * Measure the size of built files. Source maps are left out, whether
+	  * inline or not, so sizes are the same for every `sourcemap` option.
+	  * @param {Array<Object>} outputs - the `file` built, and its `name`
+	  *     without a content hash to find its budget, e.g. "main.js"
+	  * @param {Object} config - see `lib/config.js`
+	  * @returns {Array<Object>} - for each output the `file`, its `size` and
+	  *     `gzip` size in bytes, the `change` in gzipped size since the
+	  *     previous build or null, and the `budget` it exceeds or null
+	  */
+	 function measure(outputs, { budgets }) {
+		  return outputs.map(({ file, name }) => {
+				const contents = Buffer.from(fs.readFileSync(file, 'utf8').replace(sourceMapComment, ''));
+				const gzip = zlib.gzipSync(contents).length;
+				const change = previous.has(file) ? gzip - previous.get(file) : null;
+				previous.set(file, gzip);
+				return {
+					 file,
+					 size: contents.length,
+					 gzip,
+					 change,
+					 budget: exceededBudget(name, gzip, budgets)
+				};
+		  });
+	 }
+
+	 return { measure };
+}
+
+/**
+ * Get the name of the package a bundled module is from, e.g.
+ * "@financial-times/o-buttons" for "node_modules/@financial-times/o-buttons/main.js".
+ * @param {String} input - a module path from an esbuild metafile
+ * @returns {String|null} - null for modules which are not in `node_modules`
+ */
+function packageName(input) {
+	 const parts = input.split(/[\\/]/);
+	 const index = parts.lastIndexOf('node_modules');
+	 if (index === -1 || !parts[index + 1]) {
+		  return null;
+	 }
+	 return parts[index + 1].startsWith('@') ? parts.slice(index + 1, index + 3).join('/') : parts[index + 1];
+}
+
+/**
+ * Find which packages contribute the most to a JavaScript bundle.
+ * @param {Object} metafile - the esbuild metafile of the bundle
+ * @param {String} outfile - the bundle
+ * @returns {Array<Object>} - the `name` of each package in `node_modules`
+ *     and the `size` in bytes of its code in the bundle, largest first
+ */
+function packageSizes(metafile, outfile) {
+	 const output = metafile.outputs[path.relative(process.cwd(), outfile).split(path.sep).join('/')];
+	 const sizes = new Map();
+	 for (const [input, { bytesInOutput }] of Object.entries(output ? output.inputs : {})) {
+		  const name = packageName(input);
+		  if (name) {
+				sizes.set(name, (sizes.get(name) || 0) + bytesInOutput);
+		  }
+	 }
+	 return [...sizes]
+		  .map(([name, size]) => ({ name, size }))
+		  .sort((a, b) => b.size - a.size);
+}
+
+/**
+ * Check whether a build exceeded an error budget.
+ * @param {Object} result - a build result with `sizes`
+ * @returns {Boolean}
+ */
+function exceedsErrorBudget({ sizes = [] }) {
+	 return sizes.some(({ budget }) => budget && budget.level === 'error');
+}
+
+module.exports = {
+	 parseSize,
+	 formatSize,
+	 createSizeReport,
+	 packageSizes,
+	 exceedsErrorBudget
+};
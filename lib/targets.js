@@ -0,0 +1,78 @@
+const browserslist = require('browserslist');
+
+// esbuild engines by browserslist browser name. Other browsers are left
+// out, so JavaScript is not transpiled for them:
+// - Internet Explorer, because esbuild can not transform `const`, `let`,
+//   classes, and other syntax most Origami components use for it, so
+//   every build would fail.
+// - Browsers esbuild has no engine for: Internet Explorer Mobile, Opera
+//   Mini, Opera Mobile, Samsung Internet, UC Browser, QQ Browser, Baidu
+//   Browser, KaiOS Browser, and the BlackBerry browser.
+// Their users get the core experience, Origami components only run
+// JavaScript for the enhanced experience. See `untargetedBrowsers`.
+const engines = {
+	 chrome: 'chrome',
+	 and_chr: 'chrome',
+	 android: 'chrome',
+	 edge: 'edge',
+	 firefox: 'firefox',
+	 and_ff: 'firefox',
+	 opera: 'opera',
+	 safari: 'safari',
+	 ios_saf: 'ios'
+};
+
+/**
+ * Get esbuild targets for a browserslist query, e.g.
+ * `['last 2 versions']` gives `['chrome107', 'edge107', ...]`.
+ * Each engine targets the oldest version the query includes.
+ * @param {Array<String>} query - a browserslist query
+ * @returns {Array<String>}
+ */
+function esbuildTargets(query) {
+	 const versions = {};
+	 for (const browser of browserslist(query)) {
+		  const [name, range] = browser.split(' ');
+		  const engine = engines[name];
+		  // Versions may be a range, e.g. "ios_saf 15.2-15.3".
+		  const version = parseFloat(range);
+		  if (!engine || Number.isNaN(version)) {
+				continue;
+		  }
+		  if (versions[engine] === undefined || version < versions[engine]) {
+				versions[engine] = version;
+		  }
+	 }
+	 return Object.entries(versions).map(([engine, version]) => `${engine}${version}`);
+}
+
+/**
+ * Find the browsers in a browserslist query JavaScript is not transpiled
+ * for, see `engines`.
+ * @param {Array<String>} query - a browserslist query
+ * @returns {Array<String>} - browserslist browser names, e.g. `['ie', 'op_mini']`
+ */
+function untargetedBrowsers(query) {
+	 const names = browserslist(query).map(browser => browser.split(' ')[0]);
+	 return [...new Set(names.filter(name => !engines[name]))];
+}
+
+/**
+ * Describe the browsers in a browserslist query JavaScript is not
+ * transpiled for, so it is clear they need the core experience.
+ * @param {Array<String>} query - a browserslist query
+ * @returns {String|null} - null if JavaScript is transpiled for every browser
+ */
+function untargetedNotice(query) {
+	 const names = untargetedBrowsers(query);
+	 if (!names.length) {
+		  return null;
+	 }
+	 return `JavaScript is not transpiled for ${names.join(', ')} in the "browserslist" option. ` +
+		  'They get the core experience, make sure it works without JavaScript.';
+}
+
+module.exports = {
+	 esbuildTargets,
+	 untargetedNotice
+};
@@ -0,0 +1,367 @@
+const fs = require('fs');
+const path = require('path');
+const assert = require('assert');
+const { EventEmitter } = require('events');
+const chokidar = require('chokidar');
+const esbuild = require('esbuild');
+const { JSDOM, VirtualConsole } = require('jsdom');
+const sassTrue = require('sass-true');
+const { outputName } = require('./config');
+const { esbuildOptions } = require('./build-file');
+const { groupWarnings } = require('./build-warnings');
+const { createSassCompiler } = require('./sass');
+const { createDependencyWatcher } = require('./dependency-watcher');
+
+// The directory tests are in, and the files in it which are tests.
+const testDirectory = 'test';
+const sassTest = /\.test\.scss$/;
+const jsTest = /\.test\.(js|jsx|ts|tsx)$/;
+
+// True's Sass, so tests may `@use 'true'` without installing it.
+const trueSass = path.resolve(path.dirname(require.resolve('sass-true')), '..', 'sass');
+
+// How long a JavaScript test may take before it fails.
+const testTimeout = 2000;
+
+/**
+ * Find every Sass and JavaScript test, e.g. `test/buttons.test.scss`
+ * and `test/buttons.test.js`.
+ * @param {String} [directory] - the directory to search
+ * @returns {Array<String>} - paths relative to the project directory
+ */
+function findTests(directory = testDirectory) {
+	 if (!fs.existsSync(directory)) {
+		  return [];
+	 }
+	 const files = [];
+	 for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+		  const file = path.join(directory, entry.name);
+		  if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+				files.push(...findTests(file));
+		  } else if (entry.isFile() && isTest(file)) {
+				files.push(file);
+		  }
+	 }
+	 return files.sort();
+}
+
+/**
+ * @param {String} file
+ * @returns {Boolean} - whether the file is a Sass or JavaScript test
+ */
+function isTest(file) {
+	 return sassTest.test(file) || jsTest.test(file);
+}
+
+/**
+ * Create an error describing the tests which failed in a file.
+ * @param {Array<Object>} tests - see `run` in `createTestRunner`
+ * @returns {Error}
+ */
+function testError(tests) {
+	 const failed = tests.filter(({ passed }) => !passed);
+	 const error = new Error([
+		  `${failed.length} of ${tests.length} ${tests.length === 1 ? 'test' : 'tests'} failed`,
+		  ...failed.map(({ name, message }) => `× ${name}\n   ${message.trim().split('\n').join('\n   ')}`)
+	 ].join('\n '));
+	 error.tests = tests;
+	 return error;
+}
+
+/**
+ * Run a Sass test written with True, see https://www.oddbird.net/true/.
+ * Tests are compiled with the same compiler and load paths as the
+ * project's Sass, and may `@use 'true'`.
+ * @param {String} file
+ * @param {Object} sassCompiler - see `createSassCompiler` in `lib/sass.js`
+ * @returns {Promise<Object>} - the `tests` run, `warnings` logged, and
+ *     the files the test `loaded`
+ */
+async function runSassTest(file, sassCompiler) {
+	 const { css, loadedFiles, warnings } = await sassCompiler.compile(file, { sourceMap: false, loadPaths: [trueSass] });
+	 const tests = [];
+	 const addTests = (modules, parents) => {
+		  for (const { module, tests: moduleTests = [], modules: submodules = [] } of modules) {
+				const names = [...parents, module];
+				for (const { test, assertions } of moduleTests) {
+					 const failed = assertions.filter(({ passed }) => !passed);
+					 tests.push({
+						  name: [...names, test].join(' '),
+						  passed: !failed.length,
+						  message: failed.map(assertion => sassTrue.formatFailureMessage(assertion)).join('\n')
+					 });
+				}
+				addTests(submodules, names);
+		  }
+	 };
+	 addTests(sassTrue.parse(css), []);
+	 return {
+		  tests,
+		  // True reports failures as warnings too, they are already in the results.
+		  warnings: warnings.filter(warning => !path.resolve(warning.file).startsWith(trueSass)),
+		  loaded: loadedFiles
+	 };
+}
+
+/**
+ * Bundle JavaScript to run in a page.
+ * @param {String} file - the entry point
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Promise<Object>} - the bundled `code` and the files it `loaded`
+ */
+async function bundle(file, config) {
+	 const { outputFiles, metafile } = await esbuild.build(esbuildOptions(config, {
+		  entryPoints: [file],
+		  outfile: path.resolve(config.out, outputName(file, '.js'))
+	 }));
+	 return { code: outputFiles[0].text, loaded: Object.keys(metafile.inputs) };
+}
+
+/**
+ * Run a JavaScript test in a DOM emulated by jsdom. The page is loaded
+ * from the `html` page, with the JavaScript entry points it links to
+ * bundled and run, as in the browser. Tests use the globals `describe`,
+ * `it`, `beforeEach`, `afterEach`, and Node's `assert`. A test may return
+ * a promise, e.g. be an async function.
+ * @param {String} file
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Promise<Object>} - the `tests` run, `warnings`, which are
+ *     always empty, and the files the test `loaded`
+ */
+async function runJsTest(file, config) {
+	 const html = fs.existsSync(config.html) ? fs.readFileSync(config.html, 'utf8') : '';
+	 const loaded = fs.existsSync(config.html) ? [config.html] : [];
+	 // The page's scripts are run, rather than loaded by jsdom.
+	 const scripts = config.js.filter(entry => fs.existsSync(entry) &&
+		  new RegExp(`<script\\b[^>]*\\ssrc=["']?[^"'\\s>]*\\b${outputName(entry, '.js').replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}["'\\s>]`, 'i').test(html));
+	 const bundles = [];
+	 for (const entry of [...scripts, file]) {
+		  const { code, loaded: entryLoaded } = await bundle(entry, config);
+		  bundles.push(code);
+		  loaded.push(...entryLoaded);
+	 }
+	 const testBundle = bundles.pop();
+
+	 // Errors in the page are reported as test failures rather than logged.
+	 const pageErrors = [];
+	 const virtualConsole = new VirtualConsole();
+	 virtualConsole.on('jsdomError', error => pageErrors.push(error));
+	 const dom = new JSDOM(html, {
+		  url: 'http://localhost/',
+		  runScripts: 'dangerously',
+		  pretendToBeVisual: true,
+		  virtualConsole
+	 });
+	 const { window } = dom;
+	 try {
+		  for (const code of bundles) {
+				window.eval(code);
+		  }
+		  if (window.document.readyState !== 'complete') {
+				await new Promise(resolve => window.addEventListener('load', resolve));
+		  }
+
+		  // Collect the tests, then run them in order.
+		  const root = { name: null, tests: [], suites: [], beforeEach: [], afterEach: [] };
+		  let suite = root;
+		  window.describe = (name, define) => {
+				const parent = suite;
+				suite = { name, tests: [], suites: [], beforeEach: [], afterEach: [] };
+				parent.suites.push(suite);
+				define();
+				suite = parent;
+		  };
+		  window.it = (name, test) => suite.tests.push({ name, test });
+		  window.beforeEach = hook => suite.beforeEach.push(hook);
+		  window.afterEach = hook => suite.afterEach.push(hook);
+		  window.assert = assert;
+		  window.eval(testBundle);
+
+		  const tests = [];
+		  // Hooks of the suites a test is in run outermost first before it,
+		  // and innermost first after it.
+		  const runSuite = async (current, suites) => {
+				const names = suites.filter(({ name }) => name !== null).map(({ name }) => name);
+				for (const { name, test } of current.tests) {
+					 const steps = [
+						  ...suites.flatMap(({ beforeEach }) => beforeEach),
+						  test,
+						  ...suites.slice().reverse().flatMap(({ afterEach }) => afterEach)
+					 ];
+					 const errors = pageErrors.length;
+					 let error = null;
+					 try {
+						  for (const step of steps) {
+								await withTimeout(step);
+						  }
+						  if (pageErrors.length > errors) {
+								error = pageErrors[errors].detail || pageErrors[errors];
+						  }
+					 } catch (failure) {
+						  error = failure;
+					 }
+					 tests.push({
+						  name: [...names, name].join(' '),
+						  passed: !error,
+						  message: error ? String(error.message || error) : ''
+					 });
+				}
+				for (const child of current.suites) {
+					 await runSuite(child, [...suites, child]);
+				}
+		  };
+		  await runSuite(root, [root]);
+		  return { tests, warnings: [], loaded };
+	 } finally {
+		  window.close();
+	 }
+}
+
+/**
+ * Run a test function, failing if it takes too long.
+ * @param {Function} test - may return a promise
+ * @returns {Promise}
+ */
+function withTimeout(test) {
+	 let timer;
+	 return Promise.race([
+		  Promise.resolve().then(() => test()),
+		  new Promise((resolve, reject) => {
+				timer = setTimeout(() => reject(new Error(`Timed out after ${testTimeout}ms, a test must finish within ${testTimeout}ms`)), testTimeout);
+		  })
+	 ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create a test runner, which keeps a Sass compiler running between tests.
+ * @param {Object} config - see `lib/config.js`
+ */
+function createTestRunner(config) {
+	 const sassCompiler = createSassCompiler();
+
+	 /**
+	  * Run the tests in a file.
+	  * @param {String} file
+	  * @returns {Promise<Object>} - the result, with the test `file`, the
+	  *     `action` "tested", its `duration` in milliseconds, the `tests`
+	  *     with the `name` of each, whether it `passed` and a failure
+	  *     `message`, any `warnings`, and the files the test `loaded`. If
+	  *     any test failed, or the file could not be run, it has an `error`.
+	  */
+	 async function run(file) {
+		  const start = Date.now();
+		  try {
+				const { tests, warnings, loaded } = sassTest.test(file) ?
+					 await runSassTest(file, sassCompiler) :
+					 await runJsTest(file, config);
+				const result = {
+					 file,
+					 action: 'tested',
+					 duration: Date.now() - start,
+					 tests,
+					 warnings: groupWarnings(warnings, config),
+					 loaded
+				};
+				if (tests.some(({ passed }) => !passed)) {
+					 result.error = testError(tests);
+				}
+				return result;
+		  } catch (error) {
+				return { file, action: 'tested', error, tests: [], loaded: [] };
+		  }
+	 }
+
+	 return {
+		  run,
+		  dispose: () => sassCompiler.dispose()
+	 };
+}
+
+/**
+ * Run every test once.
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Promise<Array<Object>>} - the result of each test file, see `run`
+ */
+async function runTests(config) {
+	 const runner = createTestRunner(config);
+	 const results = [];
+	 for (const file of findTests()) {
+		  results.push(await runner.run(file));
+	 }
+	 await runner.dispose();
+	 return results;
+}
+
+/**
+ * Run every test, then run tests again when they change, or when a file
+ * they load changes, e.g. a Sass partial, a JavaScript module, or the page.
+ *
+ * The `events` emitter tells you what is running:
+ * - "test-start" with the test `file`.
+ * - "test-result" with the result, see `run`.
+ * - "test-removed" with the test `file` which was removed.
+ * @param {Object} config - see `lib/config.js`
+ * @returns {Object} - the `events`, and `close()` to stop watching
+ */
+function watchTests(config) {
+	 const events = new EventEmitter();
+	 const runner = createTestRunner(config);
+	 // Tests run one at a time. A test which changes while it is
+	 // running, or waiting to run, is run once more.
+	 const queue = new Set();
+	 let running = null;
+	 const dependencyWatcher = createDependencyWatcher(file => schedule(file));
+
+	 /**
+	  * Run a test once the tests before it have run.
+	  * @param {String} file
+	  */
+	 function schedule(file) {
+		  queue.add(file);
+		  if (!running) {
+				running = next();
+		  }
+	 }
+
+	 async function next() {
+		  for (const file of queue) {
+				queue.delete(file);
+				events.emit('test-start', { file });
+				const result = await runner.run(file);
+				dependencyWatcher.update(file, result.loaded);
+				events.emit('test-result', result);
+		  }
+		  running = null;
+	 }
+
+	 const watcher = chokidar.watch(testDirectory, {
+		  ignored: file => /(^|[\\/])(node_modules|\.[^\\/.][^\\/]*)$/.test(file)
+	 }).on('all', (event, file) => {
+		  if (!isTest(file)) {
+				return;
+		  }
+		  if (event === 'add' || event === 'change') {
+				schedule(file);
+		  } else if (event === 'unlink') {
+				queue.delete(file);
+				dependencyWatcher.remove(file);
+				events.emit('test-removed', { file });
+		  }
+	 });
+
+	 return {
+		  events,
+		  close: async () => {
+				queue.clear();
+				await Promise.all([watcher.close(), dependencyWatcher.close()]);
+				await running;
+				await runner.dispose();
+		  }
+	 };
+}
+
+module.exports = {
+	 findTests,
+	 runTests,
+	 watchTests
+};
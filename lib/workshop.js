@@ -0,0 +1,490 @@
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const { EventEmitter } = require('events');
+const chokidar = require('chokidar');
+const handler = require('serve-handler');
+const portfinder = require('portfinder');
+const { createLiveReload } = require('./live-reload');
+const { createComponentBrowser } = require('./component-browser');
+const { createMocks } = require('./mocks');
+const { createProxy } = require('./proxy');
+const { loadCertificate } = require('./certificate');
+const { buildErrors } = require('./build-errors');
+const { groupWarnings } = require('./build-warnings');
+const { createDependencyWatcher } = require('./dependency-watcher');
+const { loadConfig, outputName } = require('./config');
+const { isIgnored, htmlOutput } = require('./html-files');
+const { assetOutput, copyAsset } = require('./assets');
+const { untargetedNotice } = require('./targets');
+const { createSassCompiler } = require('./sass');
+const { createEsbuildContext, buildCss, buildJs } = require('./build-file');
+const { createCancellable } = require('./cancellable');
+const { createSizeReport } = require('./sizes');
+const { checkHtml } = require('./html-checks');
+
+/**
+ * Find the IPv4 addresses other devices on the network may reach this one at.
+ * @returns {Array<String>}
+ */
+function lanAddresses() {
+	 return Object.values(os.networkInterfaces())
+		  .flat()
+		  .filter(({ family, internal }) => (family === 'IPv4' || family === 4) && !internal)
+		  .map(({ address }) => address);
+}
+
+/**
+ * Create a workshop which builds Sass, JavaScript, and HTML on change and
+ * serves them. Nothing is built or served until it is started. Paths are
+ * relative to the current working directory.
+ *
+ * The `events` emitter tells you what the workshop is doing:
+ * - "build-start" with the `file` being built.
+ * - "build-success" with the `file` built, the `action` e.g. "built" or
+ *   "copied", the `outputs` written, its `duration` in milliseconds, and
+ *   any `warnings`, see `groupWarnings` in `lib/build-warnings.js`. CSS and
+ *   JavaScript have their `sizes` too, and JavaScript the `packages` in it,
+ *   see `lib/sizes.js`.
+ * - "build-error" with the `file`, the `error`, and the `action` which
+ *   failed e.g. "building" or "copying".
+ * - "notice" with a `file` and `message`, e.g. that a file is missing, that
+ *   JavaScript is not transpiled for some browsers in the `browserslist`
+ *   option, or that a mock or proxied request to the path in `file` failed.
+ * - "file-removed" with the source `file` which was removed.
+ * - "listening" with the `port` and `url` of the server, the `networkUrls`
+ *   other devices may use with the `lan` option, the `componentsUrl`, and
+ *   the self-signed `certificate` file with the `https` option.
+ * @param {Object} [options] - see `lib/config.js`, options take precedence
+ *     over a config file
+ * @returns {Object} - the workshop, with its `config`, `events`, `start()`,
+ *     `close()`, and the `port` and `url` it serves from once started
+ */
+function createWorkshop(options = {}) {
+	 const config = loadConfig([], { options });
+	 const { html: index, sass, js, out: public } = config;
+	 const events = new EventEmitter();
+
+	 // Served HTML pages reload when a file is rebuilt.
+	 // A brand switcher is added too when Sass is built for several brands.
+	 const liveReload = createLiveReload({
+		  brands: config.brands,
+		  stylesheets: sass.map(file => outputName(file, '.css'))
+	 });
+	 // Demos of installed Origami components are served too.
+	 const sassCompiler = createSassCompiler();
+	 const componentBrowser = createComponentBrowser(config, sassCompiler);
+	 // API requests are answered by mock files, or forwarded to other servers.
+	 const apiError = (file, error) => events.emit('notice', { file, message: error.message });
+	 const mocks = createMocks(config, apiError);
+	 const proxy = createProxy(config, apiError);
+	 const handleRequest = (request, response) => {
+		  if (liveReload.handle(request, response) || componentBrowser.handle(request, response)) {
+				return;
+		  }
+		  if (mocks.handle(request, response) || proxy.handle(request, response)) {
+				return;
+		  }
+		  return handler(request, response, { public }, liveReload.methods);
+	 };
+	 // The server is created when the workshop starts, which is when an
+	 // HTTPS certificate is created if one is needed.
+	 let server = null;
+	 const protocol = config.https ? 'https' : 'http';
+
+	 // Keep track of builds in progress so a build can be cancelled
+	 // if a file is changed multiple times before the previous build
+	 // has finished.
+	 // Sass is compiled by one long-lived compiler process and each
+	 // JavaScript entry point keeps an incremental esbuild context, so
+	 // rebuilds only redo the work for what has changed.
+	 // Sass and JavaScript are also rebuilt when a file they
+	 // import changes, e.g. a Sass partial or JavaScript module.
+	 const builds = {};
+	 const esbuildContexts = {};
+	 const dependencyWatcher = createDependencyWatcher(file => build('change', file));
+	 // Report the size of built CSS and JavaScript, and how it changed.
+	 const sizeReport = createSizeReport();
+	 // Built HTML pages and their warnings, by source file, so they are checked
+	 // again when the JavaScript they need is imported, see `lib/html-checks.js`.
+	 const pages = new Map();
+	 const watchers = [];
+	 let port = null;
+	 let started = false;
+	 let closed = false;
+
+	 /**
+	  * Build every HTML page, Sass, and JavaScript entry point, copy assets,
+	  * then rebuild them on change. Start a server for the public directory.
+	  * @returns {Promise<Object>} - the `port` and `url` of the server,
+	  *     once it is listening
+	  */
+	 async function start() {
+		  if (started) {
+				throw new Error('The workshop has already been started.');
+		  }
+		  started = true;
+
+		  // Create a public directory if one does not exist.
+		  fs.mkdirSync(path.resolve(process.cwd(), public), { recursive: true });
+
+		  // Serve from the configured port, or another if it is taken.
+		  // Only this computer may connect, unless the server is
+		  // shared with other devices on the network.
+		  const host = config.lan ? undefined : 'localhost';
+		  port = await portfinder.getPortPromise(Object.assign({ port: config.port }, host && { host }));
+		  const addresses = config.lan ? lanAddresses() : [];
+		  let certificate = null;
+		  if (config.https) {
+				certificate = await loadCertificate({ names: ['localhost'], addresses: ['127.0.0.1', '::1', ...addresses] });
+				server = https.createServer({ key: certificate.key, cert: certificate.cert }, handleRequest);
+		  } else {
+				server = http.createServer(handleRequest);
+		  }
+
+		  // Notify the user if an index.html wasn't found, they need to add one.
+		  const indexStats = fs.existsSync(index) ? fs.statSync(index) : null;
+		  if (!indexStats || !indexStats.isFile()) {
+				events.emit('notice', {
+					 file: index,
+					 message: `your web page won't be visible until we create ${index}, run "ow init" to create a starter project`
+				});
+		  }
+
+		  // Notify the user of browsers JavaScript is not transpiled for.
+		  const targetsNotice = js.length ? untargetedNotice(config.browserslist) : null;
+		  if (targetsNotice) {
+				events.emit('notice', { file: 'browserslist', message: targetsNotice });
+		  }
+
+		  // Listen for changes to HTML, Sass, or Js. Rebuild on changes.
+		  // Every HTML page in the project is built, as is each Sass and
+		  // JavaScript entry point.
+		  watchers.push(chokidar.watch(['**/*.html', index, ...sass, ...js], {
+				ignored: file => isIgnored(file, config)
+		  }).on('all', build));
+
+		  // Mirror the assets directory, e.g. images and fonts, in the public
+		  // directory. Assets which are deleted are removed from it too.
+		  let assetsReady = false;
+		  const assetWatcher = chokidar.watch(config.assets).on('all', (event, file) => {
+				try {
+					 if (event === 'add' || event === 'change') {
+						  copyAsset(file, config);
+					 } else if (event === 'unlink' || event === 'unlinkDir') {
+						  fs.rmSync(assetOutput(file, config), { recursive: true, force: true });
+					 } else {
+						  return;
+					 }
+					 events.emit('build-success', {
+						  file: config.assets,
+						  action: 'copied',
+						  outputs: [path.join(public, path.basename(config.assets))]
+					 });
+					 // Reload pages for changes after the initial copy.
+					 if (assetsReady) {
+						  liveReload.send('reload', { file });
+					 }
+				} catch (error) {
+					 events.emit('build-error', { file: config.assets, error, action: 'copying' });
+				}
+		  });
+		  assetWatcher.on('ready', () => {
+				assetsReady = true;
+		  });
+		  watchers.push(assetWatcher);
+
+		  await new Promise((resolve, reject) => {
+				server.once('error', reject);
+				server.listen(port, host, () => {
+					 server.off('error', reject);
+					 resolve();
+				});
+		  });
+		  const url = `${protocol}://localhost:${port}`;
+		  events.emit('listening', {
+				port,
+				url,
+				networkUrls: addresses.map(address => `${protocol}://${address}:${port}`),
+				componentsUrl: `${url}/__ow/components`,
+				certificate: certificate && path.relative(process.cwd(), certificate.file)
+		  });
+		  return { port, url };
+	 }
+
+	 /**
+	  * Stop building and serving: close the server, stop watching files,
+	  * cancel builds in progress, and stop the Sass compiler and esbuild.
+	  * Files which have been built are left in place.
+	  * @returns {Promise}
+	  */
+	 async function close() {
+		  if (closed) {
+				return;
+		  }
+		  closed = true;
+		  // Connected pages keep the server open, end their connections.
+		  liveReload.close();
+		  const serverClosed = server && server.listening ?
+				new Promise(resolve => server.close(() => resolve())) :
+				Promise.resolve();
+		  if (server) {
+				server.closeAllConnections();
+		  }
+		  await Promise.all([
+				...watchers.map(watcher => watcher.close()),
+				dependencyWatcher.close(),
+				...Object.values(builds).map(current => current.cancel())
+		  ]);
+		  await Promise.all(Object.keys(esbuildContexts).map(disposeEsbuildContext));
+		  await sassCompiler.dispose();
+		  await serverClosed;
+	 }
+
+	 /**
+	  * Build a file which has been added or changed, or remove the output
+	  * of a file which has been removed.
+	  * @param {String} event - the chokidar event, e.g. "change"
+	  * @param {String} file
+	  */
+	 async function build(event, file) {
+		  // Only files are built, not directories.
+		  if (closed || !['add', 'change', 'unlink'].includes(event)) {
+				return;
+		  }
+		  const previous = builds[file];
+		  const current = builds[file] = createCancellable();
+		  const start = Date.now();
+		  try {
+				// Notify the user the file is being built.
+				events.emit('build-start', { file });
+
+				// Cancel any build which is already running for the file being
+				// built. Wait for it to stop, a build which is still running
+				// would otherwise be reused by the next esbuild rebuild.
+				if (previous) {
+					 await previous.cancel();
+					 current.check();
+				}
+
+				// If the Sass or JavaScript source file has been removed, then remove
+				// the message which notifies the user of build progress.
+				if ((sass.includes(file) || js.includes(file)) && event === 'unlink') {
+					 events.emit('file-removed', { file });
+					 liveReload.clearErrors(file);
+					 dependencyWatcher.remove(file);
+					 await disposeEsbuildContext(file);
+					 if (js.includes(file)) {
+						  checkPages();
+					 }
+					 return;
+				}
+
+				// If the HTML source file has been removed, then update
+				// the message to notify the user. We always expect an index.html
+				// to present the users work.
+				if (file == index && event === 'unlink') {
+					 events.emit('notice', { file, message: `missing ${index}` });
+					 liveReload.clearErrors(file);
+					 pages.delete(file);
+					 return;
+				}
+
+				// If any other HTML page has been removed, then remove
+				// it from the public directory too.
+				if (event === 'unlink') {
+					 events.emit('file-removed', { file });
+					 liveReload.clearErrors(file);
+					 pages.delete(file);
+					 const output = htmlOutput(file, config);
+					 if (output) {
+						  fs.rmSync(output, { force: true });
+					 }
+					 return;
+				}
+
+				// Build CSS, once for each brand if brands are configured.
+				if (sass.includes(file)) {
+					 let result;
+					 try {
+						  result = await buildCss(config, file, sassCompiler, { check: current.check });
+					 } catch (error) {
+						  // Watch the files the Sass tries to load, so fixing them rebuilds it.
+						  if (error.loaded && !current.isCanceled) {
+								dependencyWatcher.update(file, error.loaded);
+						  }
+						  throw error;
+					 }
+
+					 // Watch the partials and dependencies the Sass loaded.
+					 dependencyWatcher.update(file, result.loaded);
+
+					 // Update the build status.
+					 const names = Object.keys(result.built);
+					 const outputs = names.map(name => path.join(public, result.built[name]));
+					 events.emit('build-success', {
+						  file,
+						  action: 'built',
+						  outputs,
+						  duration: Date.now() - start,
+						  warnings: groupWarnings(result.warnings, config),
+						  sizes: sizeReport.measure(names.map((name, index) => ({ file: outputs[index], name })), config)
+					 });
+					 liveReload.clearErrors(file);
+
+					 // Swap the stylesheets in served pages without a reload.
+					 for (const name of names) {
+						  liveReload.send('css', { file, href: `/${result.built[name]}` });
+					 }
+				}
+
+				// Build JavaScript.
+				if (js.includes(file)) {
+					 const context = await esbuildContext(file);
+					 current.check();
+					 current.onCancel(() => context.cancel());
+					 const result = await buildJs(config, file, { context, check: current.check });
+
+					 // Watch the modules bundled with the JavaScript.
+					 dependencyWatcher.update(file, result.loaded);
+					 const name = outputName(file, '.js');
+					 const output = path.join(public, result.built[name]);
+					 events.emit('build-success', {
+						  file,
+						  action: 'built',
+						  outputs: [output],
+						  duration: Date.now() - start,
+						  warnings: groupWarnings(result.warnings, config),
+						  sizes: sizeReport.measure([{ file: output, name }], config),
+						  packages: result.packages
+					 });
+					 liveReload.clearErrors(file);
+					 checkPages();
+					 liveReload.send('reload', { file });
+				}
+
+				// Build HTML: copy it to the public directory, and check it
+				// for common mistakes with Origami markup.
+				if (file == index || path.extname(file) === '.html') {
+					 const output = htmlOutput(file, config);
+					 if (!output) {
+						  events.emit('notice', {
+								file,
+								message: `${file} is not built, ${index} is built to ${public}/index.html instead`
+						  });
+						  return;
+					 }
+					 try {
+						  fs.mkdirSync(path.dirname(output), { recursive: true });
+						  fs.copyFileSync(file, output);
+					 } catch (error) {
+						  error = error.code === 'ENOTSUP' && error.path === file ?
+								new Error(`Could not copy "${file}". Is it a file?`) :
+								error;
+						  throw error;
+					 }
+					 const warnings = checkHtml(file, fs.readFileSync(file, 'utf8'), config);
+					 pages.set(file, { output, warnings });
+					 events.emit('build-success', {
+						  file,
+						  action: 'built',
+						  outputs: [output],
+						  duration: Date.now() - start,
+						  warnings: groupWarnings(warnings, config)
+					 });
+					 liveReload.clearErrors(file);
+					 liveReload.send('reload', { file });
+				}
+		  } catch (error) {
+				// Ignore cancelled builds, a newer build of the file is running.
+				if (error.isCanceled || current.isCanceled) {
+					 return;
+				}
+				// Report other errors without exiting, such as compilation errors.
+				events.emit('build-error', { file, error, action: 'building' });
+
+				// Show the error in served pages too.
+				liveReload.reportErrors(file, buildErrors(error, file));
+		  } finally {
+				// The build has finished, there is nothing left to cancel.
+				if (builds[file] === current) {
+					 delete builds[file];
+				}
+		  }
+	 }
+
+	 /**
+	  * Check built HTML pages again, e.g. once JavaScript imports a component
+	  * the page uses, and report pages whose warnings have changed. Pages
+	  * being rebuilt are checked then.
+	  */
+	 function checkPages() {
+		  for (const [page, checked] of pages) {
+				if (builds[page] || !fs.existsSync(page)) {
+					 continue;
+				}
+				const start = Date.now();
+				const warnings = checkHtml(page, fs.readFileSync(page, 'utf8'), config);
+				if (JSON.stringify(warnings) === JSON.stringify(checked.warnings)) {
+					 continue;
+				}
+				pages.set(page, { output: checked.output, warnings });
+				events.emit('build-success', {
+					 file: page,
+					 action: 'checked',
+					 outputs: [checked.output],
+					 duration: Date.now() - start,
+					 warnings: groupWarnings(warnings, config)
+				});
+		  }
+	 }
+
+	 /**
+	  * Get the incremental esbuild context for a JavaScript entry point,
+	  * creating it for the first build.
+	  * @param {String} file
+	  * @returns {Promise<Object>}
+	  */
+	 function esbuildContext(file) {
+		  if (!esbuildContexts[file]) {
+				esbuildContexts[file] = createEsbuildContext(config, file);
+				// Try again next build if the context could not be created.
+				esbuildContexts[file].catch(() => {
+					 delete esbuildContexts[file];
+				});
+		  }
+		  return esbuildContexts[file];
+	 }
+
+	 /**
+	  * Stop the esbuild context of a removed JavaScript entry point.
+	  * @param {String} file
+	  */
+	 async function disposeEsbuildContext(file) {
+		  const context = esbuildContexts[file];
+		  delete esbuildContexts[file];
+		  if (context) {
+				await context.then(context => context.dispose(), () => {});
+		  }
+	 }
+
+	 return {
+		  config,
+		  events,
+		  start,
+		  close,
+		  // The port and url are known once the workshop has started.
+		  get port() {
+				return port;
+		  },
+		  get url() {
+				return port === null ? null : `${protocol}://localhost:${port}`;
+		  }
+	 };
+}
+
+module.exports = {
+	 createWorkshop
+};
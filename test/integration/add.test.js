@@ -0,0 +1,132 @@
+/* eslint-env mocha */
+'use strict';
+
+const rimraf = require('rimraf');
+const execa = require('execa');
+const path = require('path');
+const proclaim = require('proclaim');
+
+const { pathToCommand, createTestDirectory, removeTestDirectory, write, read } = require('./helpers');
+
+describe('origami-workshop add', function () {
+    // Components are installed with npm in some tests.
+    this.timeout(30000);
+    // The directory to run the current test in.
+    let testDirectory;
+
+    const htmlContent = '<html>\n<body>\n\t<main>\n\t\t<h1>My page</h1>\n\t</main>\n</body>\n</html>\n';
+    const sassContent = '$system-code: "test";\n\nbody { margin: 0; }\n';
+    const jsContent = `console.log('example javascript for test');\n`;
+
+    // An Origami component to add, with Sass, JavaScript, and a demo.
+    const component = {
+        'package.json': JSON.stringify({ name: '@financial-times/o-example', version: '1.0.0', browser: 'main.js' }),
+        'origami.json': JSON.stringify({
+            origamiType: 'component',
+            demos: [
+                { name: 'hidden', title: 'Hidden', template: '/demos/src/hidden.mustache', hidden: true },
+                { name: 'basic', title: 'Basic example', template: '/demos/src/basic.mustache', data: { label: 'Hello' } }
+            ]
+        }),
+        'main.scss': '@mixin oExample() { .o-example { color: red; } }',
+        'main.js': `document.addEventListener('o.DOMContentLoaded', () => console.log('o-example init'));`,
+        'demos/src/hidden.mustache': '<div>hidden</div>',
+        'demos/src/basic.mustache': '<div class="o-example">{{label}}</div>'
+    };
+
+    beforeEach(function () {
+        // move to a new temporary directory
+        testDirectory = createTestDirectory();
+        write('index.html', htmlContent);
+        write('src/main.scss', sassContent);
+        write('src/main.js', jsContent);
+    });
+
+    afterEach(function () {
+        // Delete temporary test directory.
+        removeTestDirectory(testDirectory);
+    });
+
+    context('with an installed component', function () {
+        beforeEach(function () {
+            for (const [file, contents] of Object.entries(component)) {
+                write(`node_modules/@financial-times/o-example/${file}`, contents);
+            }
+        });
+
+        it('adds the component to Sass, JavaScript, and HTML then exits', async function () {
+            const { exitCode, stdout } = await execa(pathToCommand, ['add', 'o-example']);
+            proclaim.strictEqual(exitCode, 0);
+            proclaim.include(stdout, 'imported @financial-times/o-example, included oExample() in src/main.scss');
+            proclaim.include(stdout, 'imported @financial-times/o-example');
+            proclaim.include(stdout, 'added the "Basic example" demo in index.html');
+            proclaim.strictEqual(read('src/main.scss'), `$system-code: "test";\n@import '@financial-times/o-example/main';\n@include oExample();\n\nbody { margin: 0; }\n`);
+            proclaim.include(read('src/main.js'), `import '@financial-times/o-example';`);
+            proclaim.include(read('src/main.js'), `new CustomEvent('o.DOMContentLoaded')`);
+            proclaim.include(read('index.html'), '\t\t<!-- o-example demo: Basic example -->\n\t\t<div class="o-example">Hello</div>\n\t</main>');
+            proclaim.notInclude(read('index.html'), 'hidden');
+        });
+
+        it('creates a project which builds', async function () {
+            await execa(pathToCommand, ['add', '@financial-times/o-example']);
+            const { exitCode } = await execa(pathToCommand, ['build']);
+            proclaim.strictEqual(exitCode, 0);
+            proclaim.include(read('public/main.css'), '.o-example');
+            proclaim.include(read('public/main.js'), 'o-example init');
+        });
+
+        it('does not make edits twice', async function () {
+            await execa(pathToCommand, ['add', 'o-example']);
+            const files = ['index.html', 'src/main.scss', 'src/main.js'].map(read);
+            const { exitCode, stdout } = await execa(pathToCommand, ['add', 'o-example']);
+            proclaim.strictEqual(exitCode, 0);
+            proclaim.include(stdout, 'src/main.scss already has @financial-times/o-example');
+            proclaim.include(stdout, 'src/main.js already has @financial-times/o-example');
+            proclaim.include(stdout, 'index.html already has @financial-times/o-example');
+            proclaim.deepStrictEqual(['index.html', 'src/main.scss', 'src/main.js'].map(read), files);
+        });
+
+        it('adds the component to configured files', async function () {
+            write('demo.html', htmlContent);
+            write('src/demo.scss', sassContent);
+            await execa(pathToCommand, ['add', 'o-example', '--html', 'demo.html', '--sass', 'src/demo.scss']);
+            proclaim.include(read('demo.html'), 'o-example demo');
+            proclaim.include(read('src/demo.scss'), '@include oExample();');
+            proclaim.strictEqual(read('index.html'), htmlContent);
+            proclaim.strictEqual(read('src/main.scss'), sassContent);
+        });
+
+        it('reports files which do not exist', async function () {
+            rimraf.sync(path.resolve(process.cwd(), 'src/main.js'));
+            const { exitCode, stdout } = await execa(pathToCommand, ['add', 'o-example']);
+            proclaim.strictEqual(exitCode, 0);
+            proclaim.include(stdout, 'src/main.js does not exist');
+        });
+    });
+
+    it('installs a component from a tarball', async function () {
+        const packageDirectory = path.resolve(testDirectory, 'o-example');
+        for (const [file, contents] of Object.entries(component)) {
+            write(`o-example/${file}`, contents);
+        }
+        await execa('npm', ['pack'], { cwd: packageDirectory });
+        const { exitCode, stdout } = await execa(pathToCommand, ['add', './o-example/financial-times-o-example-1.0.0.tgz']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(stdout, 'installed @financial-times/o-example in package.json');
+        proclaim.include(read('src/main.scss'), '@include oExample();');
+    });
+
+    it('exits with an error for a package which is not an Origami component', async function () {
+        write('node_modules/@financial-times/example/package.json', JSON.stringify({ name: '@financial-times/example' }));
+        const { exitCode, stderr } = await execa(pathToCommand, ['add', 'example'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error adding example');
+        proclaim.include(stderr, 'is not an Origami component');
+    });
+
+    it('exits with an error without a component', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['add'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Missing the component to add');
+    });
+});
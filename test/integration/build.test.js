@@ -0,0 +1,417 @@
+/* eslint-env mocha */
+'use strict';
+
+const rimraf = require('rimraf');
+const execa = require('execa');
+const path = require('path');
+const fs = require('fs');
+const proclaim = require('proclaim');
+
+const { pathToCommand, createTestDirectory, removeTestDirectory, write, read } = require('./helpers');
+
+describe('origami-workshop build', function () {
+    // Sass and JavaScript are built in each test.
+    this.timeout(10000);
+    // The directory to run the current test in.
+    let testDirectory;
+
+    const htmlContent = '<link rel="stylesheet" href="main.css"><script src="/main.js"></script>';
+    const sassContent = 'body { background: red; }';
+    const jsContent = `console.log('example javascript for test');`;
+
+    beforeEach(function () {
+        // move to a new temporary directory
+        testDirectory = createTestDirectory();
+        write('index.html', htmlContent);
+        write('src/main.scss', sassContent);
+        write('src/main.js', jsContent);
+    });
+
+    afterEach(function () {
+        // Delete temporary test directory.
+        removeTestDirectory(testDirectory);
+    });
+
+    it('builds html, css, and js to the public directory then exits', async function () {
+        const { exitCode, stdout } = await execa(pathToCommand, ['build']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(stdout, 'built src/main.scss');
+        proclaim.include(stdout, 'built src/main.js');
+        proclaim.include(stdout, 'built index.html');
+        proclaim.strictEqual(read('public/index.html'), htmlContent);
+        proclaim.include(read('public/main.css'), 'background: red;');
+        proclaim.include(read('public/main.js'), 'example javascript for test');
+    });
+
+    it('exits with an error code if a file fails to build', async function () {
+        write('src/main.js', '!@£$%^&*()');
+        const { exitCode, stderr } = await execa(pathToCommand, ['build'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error building src/main.js');
+    });
+
+    it('exits with an error code if there is no html', async function () {
+        rimraf.sync(path.resolve(process.cwd(), 'index.html'));
+        const { exitCode, stderr } = await execa(pathToCommand, ['build'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error building index.html');
+    });
+
+    it('exits with an error message, not a stack trace, if the output directory can not be created', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['build', '--out', 'index.html/public'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'ENOTDIR: not a directory');
+        proclaim.notInclude(stderr, '    at ');
+    });
+
+    it('minifies css and js', async function () {
+        await execa(pathToCommand, ['build', '--minify']);
+        proclaim.include(read('public/main.css'), 'body{background:red}');
+        proclaim.include(read('public/main.js'), `console.log("example javascript for test");`);
+        proclaim.doesNotInclude(read('public/main.js'), '\n  ');
+    });
+
+    it('writes external source maps', async function () {
+        await execa(pathToCommand, ['build', '--sourcemap', 'external']);
+        proclaim.include(read('public/main.css'), '/*# sourceMappingURL=main.css.map */');
+        proclaim.include(read('public/main.js'), '//# sourceMappingURL=main.js.map');
+        proclaim.include(JSON.parse(read('public/main.css.map')).sources[0], 'main.scss');
+        proclaim.include(JSON.parse(read('public/main.js.map')).sources[0], 'main.js');
+    });
+
+    it('drops source maps', async function () {
+        await execa(pathToCommand, ['build', '--sourcemap', 'none']);
+        proclaim.doesNotInclude(read('public/main.css'), 'sourceMappingURL');
+        proclaim.doesNotInclude(read('public/main.js'), 'sourceMappingURL');
+    });
+
+    it('adds a content hash to file names and updates the html', async function () {
+        await execa(pathToCommand, ['build', '--hash']);
+        const files = fs.readdirSync(path.resolve(process.cwd(), 'public'));
+        const css = files.find(file => /^main\.[a-f0-9]{8}\.css$/.test(file));
+        const js = files.find(file => /^main\.[a-f0-9]{8}\.js$/.test(file));
+        proclaim.isString(css);
+        proclaim.isString(js);
+        proclaim.strictEqual(
+            read('public/index.html'),
+            `<link rel="stylesheet" href="${css}"><script src="/${js}"></script>`
+        );
+    });
+
+    it('builds every html page and entry point', async function () {
+        write('pages/article.html', '<link rel="stylesheet" href="../article.css">');
+        write('src/article.scss', 'article { color: blue; }');
+        write('ow.config.json', JSON.stringify({
+            sass: ['src/main.scss', 'src/article.scss']
+        }));
+        await execa(pathToCommand, ['build', '--hash']);
+        const files = fs.readdirSync(path.resolve(process.cwd(), 'public'));
+        const css = files.find(file => /^article\.[a-f0-9]{8}\.css$/.test(file));
+        proclaim.include(read(`public/${css}`), 'color: blue;');
+        proclaim.strictEqual(
+            read('public/pages/article.html'),
+            `<link rel="stylesheet" href="../${css}">`
+        );
+    });
+
+    it('transpiles javascript for the browserslist query', async function () {
+        write('src/main.js', 'console.log(window.example ?? 1);');
+        write('ow.config.json', JSON.stringify({ browserslist: ['chrome 60'] }));
+        await execa(pathToCommand, ['build']);
+        proclaim.doesNotInclude(read('public/main.js'), '??');
+    });
+
+    it('lists the browsers in the browserslist query javascript is not transpiled for', async function () {
+        write('src/main.js', 'console.log(window.example ?? 1);');
+        write('ow.config.json', JSON.stringify({ browserslist: ['opera 60', 'ie 11', 'op_mini all'] }));
+        const { stdout } = await execa(pathToCommand, ['build']);
+        proclaim.doesNotInclude(read('public/main.js'), '??');
+        proclaim.include(stdout, 'JavaScript is not transpiled for ie, op_mini in the "browserslist" option');
+    });
+
+    it('does not include internet explorer in the default browserslist query', async function () {
+        const { stdout } = await execa(pathToCommand, ['build']);
+        proclaim.include(stdout, 'JavaScript is not transpiled for');
+        proclaim.notMatch(stdout, /not transpiled for [^\n]*\bie\b/);
+    });
+
+    it('exits with an error for javascript which can not be transpiled for the browserslist query', async function () {
+        write('src/main.js', 'console.log(1n);');
+        write('ow.config.json', JSON.stringify({ browserslist: ['chrome 60'] }));
+        const { exitCode, stderr } = await execa(pathToCommand, ['build'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'src/main.js:1:13');
+        proclaim.include(stderr, 'can not be transpiled for the browsers in the "browserslist" option');
+    });
+
+    it('exits with an error for an invalid browserslist query', async function () {
+        write('ow.config.json', JSON.stringify({ browserslist: ['chrome 9999'] }));
+        const { exitCode, stderr } = await execa(pathToCommand, ['build'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option "browserslist" in ow.config.json');
+    });
+
+    it('bundles a typescript entry point when there is no javascript entry point', async function () {
+        rimraf.sync(path.resolve(process.cwd(), 'src/main.js'));
+        write('src/main.ts', 'const message: string = "example typescript for test"; console.log(message);');
+        const { stdout } = await execa(pathToCommand, ['build']);
+        proclaim.include(stdout, 'built src/main.ts');
+        proclaim.include(read('public/main.js'), 'example typescript for test');
+    });
+
+    it('bundles a jsx entry point when there is no javascript entry point', async function () {
+        rimraf.sync(path.resolve(process.cwd(), 'src/main.js'));
+        write('src/main.jsx', 'console.log(<div>example jsx for test</div>);');
+        const { stdout } = await execa(pathToCommand, ['build']);
+        proclaim.include(stdout, 'built src/main.jsx');
+        proclaim.include(read('public/main.js'), 'example jsx for test');
+    });
+
+    it('exits with an error for an invalid source map option', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['build', '--sourcemap', 'nope'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option --sourcemap');
+    });
+
+    it('builds css for each brand', async function () {
+        write('src/main.scss', '$o-brand: "core" !default; body { content: $o-brand; }');
+        const { exitCode, stdout } = await execa(pathToCommand, ['build', '--brands', 'core', '--brands', 'whitelabel']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.match(stdout, /built src\/main\.scss to public\/main\.css .*public\/main\.whitelabel\.css/);
+        proclaim.include(read('public/main.css'), 'content: "core"');
+        proclaim.include(read('public/main.core.css'), 'content: "core"');
+        proclaim.include(read('public/main.whitelabel.css'), 'content: "whitelabel"');
+    });
+
+    it('updates references to each brand\'s css with a content hash, and nothing else', async function () {
+        write('index.html', '<link rel="stylesheet" href="main.internal.css"><a href="main.internal-css">notes</a>');
+        const { exitCode } = await execa(pathToCommand, ['build', '--brands', 'core', '--brands', 'internal', '--hash']);
+        proclaim.strictEqual(exitCode, 0);
+        const html = read('public/index.html');
+        proclaim.match(html, /href="main\.internal\.[0-9a-f]{8}\.css"/);
+        proclaim.include(html, 'href="main.internal-css"');
+    });
+
+    it('exits with an error for an unknown brand', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['build', '--brands', 'example'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option --brands');
+    });
+
+    it('counts sass, postcss, and esbuild warnings', async function () {
+        write('src/main.scss', 'body { width: (10px / 2); background: linear-gradient(top, red, blue); }');
+        write('src/main.js', 'console.log({ a: 1, a: 2 });');
+        const { exitCode, stdout } = await execa(pathToCommand, ['build']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.match(stdout, /built src\/main\.scss .* with 2 warnings/);
+        proclaim.match(stdout, /built src\/main\.js .* with 1 warning/);
+        proclaim.doesNotInclude(stdout, 'Duplicate key');
+    });
+
+    it('lists warnings in detail, grouping identical warnings', async function () {
+        write('src/main.scss', '@mixin example { @warn "example warning"; }\na { @include example; }\np { @include example; }');
+        const { stdout } = await execa(pathToCommand, ['build', '--warnings', 'detail']);
+        proclaim.match(stdout, /built src\/main\.scss .* with 1 warning/);
+        proclaim.include(stdout, 'src/main.scss:1:18: example warning (×2)');
+    });
+
+    it('leaves out warnings from node_modules with the quiet deps flag', async function () {
+        write('node_modules/example/_main.scss', '@warn "dependency warning";');
+        write('src/main.scss', '@import "example/main";\n@warn "project warning";');
+        const { stdout } = await execa(pathToCommand, ['build', '--warnings', 'detail']);
+        proclaim.include(stdout, 'dependency warning');
+        const { stdout: quietStdout } = await execa(pathToCommand, ['build', '--warnings', 'detail', '--quiet-deps']);
+        proclaim.doesNotInclude(quietStdout, 'dependency warning');
+        proclaim.include(quietStdout, 'src/main.scss:2:1: project warning');
+    });
+
+    it('leaves out repeated deprecations from node_modules with the quiet deps flag', async function () {
+        const rules = Array.from({ length: 10 }, (value, index) => `.example-${index} { width: (10px / ${index + 1}); }`);
+        write('node_modules/example/_main.scss', rules.join('\n'));
+        write('src/main.scss', '@import "example/main";');
+        const { stdout } = await execa(pathToCommand, ['build', '--warnings', 'detail']);
+        proclaim.match(stdout, /built src\/main\.scss .* with 10 warnings/);
+        proclaim.doesNotInclude(stdout, 'repetitive deprecation warnings omitted');
+        const { stdout: quietStdout } = await execa(pathToCommand, ['build', '--warnings', 'detail', '--quiet-deps']);
+        proclaim.notMatch(quietStdout, /built src\/main\.scss .* warning/);
+    });
+
+    it('reports the size of built css and javascript', async function () {
+        const { stdout } = await execa(pathToCommand, ['build']);
+        proclaim.match(stdout, /built src\/main\.scss to public\/main\.css \d+ B \(\d+ B gzipped\)/);
+        proclaim.match(stdout, /built src\/main\.js to public\/main\.js [\d.]+ k?B \([\d.]+ k?B gzipped\)/);
+    });
+
+    it('lists the largest packages bundled into javascript', async function () {
+        write('node_modules/@financial-times/o-example/package.json', JSON.stringify({ name: '@financial-times/o-example', main: 'main.js' }));
+        write('node_modules/@financial-times/o-example/main.js', `export default '${'example '.repeat(200)}';`);
+        write('src/main.js', `import example from '@financial-times/o-example';\nconsole.log(example);`);
+        const { stdout } = await execa(pathToCommand, ['build']);
+        proclaim.match(stdout, /largest packages: @financial-times\/o-example 1\.\d kB/);
+    });
+
+    it('warns when a built file is over its warning budget', async function () {
+        write('ow.config.json', JSON.stringify({ budgets: { 'main.css': { warning: '10B' } } }));
+        const { exitCode, stdout } = await execa(pathToCommand, ['build']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.match(stdout, /! public\/main\.css is \d+ B gzipped, over its 10 B warning budget/);
+    });
+
+    it('exits with an error when a built file is over its error budget', async function () {
+        write('ow.config.json', JSON.stringify({ budgets: { 'main.js': { warning: '10B', error: '0.02kB' } } }));
+        const { exitCode, stdout } = await execa(pathToCommand, ['build'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.match(stdout, /× public\/main\.js is \d+ B gzipped, over its 20 B error budget/);
+    });
+
+    it('exits with an error for an invalid budget', async function () {
+        write('ow.config.json', JSON.stringify({ budgets: { 'main.js': { maximum: '10kB' } } }));
+        const { exitCode, stderr } = await execa(pathToCommand, ['build'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option "budgets" in ow.config.json');
+    });
+
+    context('when checking html', function () {
+        /**
+         * Build with warnings listed in detail.
+         * @returns {Promise<String>} - the output of the build
+         */
+        async function buildWithDetail() {
+            const { stdout } = await execa(pathToCommand, ['build', '--warnings', 'detail']);
+            return stdout;
+        }
+
+        it('accepts a page set up for origami', async function () {
+            write('index.html', [
+                '<html class="core">',
+                '<script>document.documentElement.className = document.documentElement.className.replace(/\\bcore\\b/g, "enhanced");</script>',
+                '<link rel="stylesheet" href="main.css">',
+                '<div data-o-component="o-tabs"></div>',
+                '<img src="logo.png" alt="Logo">',
+                '<label>Name <input name="name"></label>',
+                '<script src="main.js"></script>',
+                '</html>'
+            ].join('\n'));
+            write('src/main.js', `import '@financial-times/o-tabs';`);
+            write('node_modules/@financial-times/o-tabs/main.js', '');
+            write('node_modules/@financial-times/o-tabs/package.json', JSON.stringify({ name: '@financial-times/o-tabs', main: 'main.js' }));
+            const stdout = await buildWithDetail();
+            proclaim.match(stdout, /built index\.html to public\/index\.html in \d+ms$/m);
+        });
+
+        it('warns about a component which is not imported', async function () {
+            write('index.html', '<div data-o-component="o-tabs"></div>');
+            proclaim.include(await buildWithDetail(), 'index.html:1:1: o-tabs is used but its JavaScript is not imported in src/main.js');
+        });
+
+        it('warns about a page without the core class', async function () {
+            write('index.html', '<html lang="en">\n</html>');
+            proclaim.include(await buildWithDetail(), 'index.html:1:1: the <html> element has no "core" class');
+        });
+
+        it('warns about a page without a script to swap the core class', async function () {
+            write('index.html', '<html class="core">\n</html>');
+            proclaim.include(await buildWithDetail(), 'no script swaps the "core" class on the <html> element for "enhanced"');
+        });
+
+        it('warns about css and javascript which is not built', async function () {
+            write('index.html', '<link rel="stylesheet" href="src/main.css">\n<script src="/src/main.js"></script>');
+            const stdout = await buildWithDetail();
+            proclaim.include(stdout, 'index.html:1:1: "src/main.css" does not match a built file');
+            proclaim.include(stdout, 'index.html:2:1: "/src/main.js" does not match a built file');
+        });
+
+        it('warns about duplicate ids', async function () {
+            write('index.html', '<p id="example"></p>\n<p id="example"></p>');
+            proclaim.include(await buildWithDetail(), 'index.html:2:1: the id "example" is used more than once');
+        });
+
+        it('warns about images without alt text and unlabelled form controls', async function () {
+            write('index.html', '<img src="logo.png">\n<input name="email">\n<label for="name">Name</label><input id="name">');
+            const stdout = await buildWithDetail();
+            proclaim.include(stdout, 'index.html:1:1: <img src="logo.png"> has no alt text');
+            proclaim.include(stdout, 'index.html:2:1: <input name="email"> has no label');
+            proclaim.doesNotInclude(stdout, 'index.html:3:');
+        });
+    });
+
+    context('with the json reporter', function () {
+        /**
+         * @param {String} stdout
+         * @returns {Array<Object>} - each event reported
+         */
+        function events(stdout) {
+            return stdout.trim().split('\n').map(line => JSON.parse(line));
+        }
+
+        it('reports each built file as json', async function () {
+            const { exitCode, stdout } = await execa(pathToCommand, ['build', '--reporter', 'json']);
+            proclaim.strictEqual(exitCode, 0);
+            const built = events(stdout).find(({ file }) => file === 'src/main.scss');
+            proclaim.strictEqual(built.event, 'build-success');
+            proclaim.strictEqual(built.action, 'built');
+            proclaim.isNumber(built.duration);
+            proclaim.deepEqual(built.outputs.map(({ file }) => file), ['public/main.css']);
+            proclaim.deepEqual(built.warnings, []);
+            proclaim.isNumber(built.outputs[0].gzip);
+            proclaim.isNull(built.outputs[0].budget);
+        });
+
+        it('reports the size of built files without their source maps', async function () {
+            const { stdout } = await execa(pathToCommand, ['build', '--reporter', 'json']);
+            const built = events(stdout).filter(({ event }) => event === 'build-success');
+            const { stdout: noMapStdout } = await execa(pathToCommand, ['build', '--reporter', 'json', '--sourcemap', 'none']);
+            for (const { file, outputs } of events(noMapStdout).filter(({ event }) => event === 'build-success')) {
+                const withMap = built.find(result => result.file === file);
+                proclaim.deepEqual(withMap.outputs.map(({ size, gzip }) => ({ size, gzip })), outputs.map(({ size, gzip }) => ({ size, gzip })));
+                for (const output of outputs.filter(({ size }) => size !== undefined)) {
+                    proclaim.strictEqual(output.size, fs.statSync(path.resolve(process.cwd(), output.file)).size);
+                }
+            }
+        });
+
+        it('reports warnings as json with their location', async function () {
+            write('src/main.js', 'console.log({ a: 1, a: 2 });');
+            const { stdout } = await execa(pathToCommand, ['build', '--reporter', 'json']);
+            const built = events(stdout).find(({ file }) => file === 'src/main.js');
+            proclaim.deepEqual(built.warnings, [{
+                file: 'src/main.js',
+                line: 1,
+                column: 21,
+                message: 'Duplicate key "a" in object literal',
+                count: 1
+            }]);
+        });
+
+        it('reports build errors as json with their location', async function () {
+            write('src/main.js', 'console.log(;');
+            const { exitCode, stdout } = await execa(pathToCommand, ['build', '--reporter', 'json'], { reject: false });
+            proclaim.strictEqual(exitCode, 1);
+            const failed = events(stdout).find(({ file }) => file === 'src/main.js');
+            proclaim.strictEqual(failed.event, 'build-error');
+            proclaim.isString(failed.message);
+            proclaim.strictEqual(failed.errors[0].file, 'src/main.js');
+            proclaim.strictEqual(failed.errors[0].line, 1);
+            proclaim.strictEqual(failed.errors[0].column, 13);
+        });
+    });
+
+    it('reports each build in an interactive terminal', async function () {
+        // Run the command in a pseudo terminal, as an interactive terminal would.
+        if (process.platform !== 'linux') {
+            this.skip();
+        }
+        write('src/main.js', '!@£$%^&*()');
+        const env = Object.assign({}, process.env);
+        delete env.CI;
+        const { stdout } = await execa('script', ['-qec', `"${process.execPath}" "${pathToCommand}" build`, '/dev/null'], { env, extendEnv: false, reject: false });
+        proclaim.include(stdout, 'built src/main.scss');
+        proclaim.include(stdout, 'error building src/main.js');
+    });
+
+    it('exits with an error for an unknown reporter', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['build', '--reporter', 'example'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option --reporter');
+    });
+});
@@ -0,0 +1,126 @@
+/* eslint-env mocha */
+'use strict';
+
+const execa = require('execa');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+const proclaim = require('proclaim');
+
+const { pathToCommand, createTestDirectory, removeTestDirectory, write } = require('./helpers');
+
+describe('origami-workshop export', function () {
+    // Sass and JavaScript are built in each test.
+    this.timeout(10000);
+    // The directory to run the current test in.
+    let testDirectory;
+    // The file a prototype is exported to by default.
+    let exported;
+
+    const htmlContent = '<html class="core"><head><link rel="stylesheet" href="main.css"></head><body><img src="assets/logo.png" alt="Logo"><script src="/main.js"></script></body></html>';
+    const sassContent = 'body { background: url("assets/logo.png"); }';
+    const jsContent = `console.log('example javascript for test </script>');`;
+
+    /**
+     * Read the files in a zip.
+     * @param {String} file
+     * @returns {Object} - the contents of each file, by name
+     */
+    function unzip(file) {
+        const zip = fs.readFileSync(file);
+        const files = {};
+        let offset = 0;
+        while (zip.readUInt32LE(offset) === 0x04034b50) {
+            const method = zip.readUInt16LE(offset + 8);
+            const size = zip.readUInt32LE(offset + 18);
+            const nameLength = zip.readUInt16LE(offset + 26);
+            const extraLength = zip.readUInt16LE(offset + 28);
+            const name = zip.toString('utf8', offset + 30, offset + 30 + nameLength);
+            const start = offset + 30 + nameLength + extraLength;
+            const contents = zip.subarray(start, start + size);
+            // Files are deflated, or stored if that is smaller.
+            files[name] = (method === 8 ? zlib.inflateRawSync(contents) : contents).toString('utf8');
+            offset = start + size;
+        }
+        return files;
+    }
+
+    beforeEach(function () {
+        // move to a new temporary directory
+        testDirectory = createTestDirectory();
+        exported = path.join('public', `${path.basename(testDirectory)}.html`);
+        write('index.html', htmlContent);
+        write('src/main.scss', sassContent);
+        write('src/main.js', jsContent);
+        write('src/assets/logo.png', Buffer.from('example image'));
+    });
+
+    afterEach(function () {
+        // Delete temporary test directory.
+        removeTestDirectory(testDirectory);
+    });
+
+    it('exports a single html file with css, javascript, and assets inlined', async function () {
+        const { exitCode, stdout } = await execa(pathToCommand, ['export']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(stdout, `exported public to ${exported}`);
+        const html = fs.readFileSync(exported, 'utf8');
+        const logo = `data:image/png;base64,${Buffer.from('example image').toString('base64')}`;
+        proclaim.include(html, `<style>body{background:url("${logo}")}`);
+        proclaim.include(html, `<img src="${logo}" alt="Logo">`);
+        proclaim.include(html, `<script>(()=>{console.log("example javascript for test <\\/script>");})();`);
+        proclaim.notInclude(html, 'main.css');
+        proclaim.notInclude(html, 'sourceMappingURL');
+    });
+
+    it('exports to the output file', async function () {
+        const { exitCode } = await execa(pathToCommand, ['export', '--output', 'share/prototype.html']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(fs.readFileSync('share/prototype.html', 'utf8'), '<style>');
+        proclaim.isFalse(fs.existsSync(exported));
+    });
+
+    it('does not embed large assets', async function () {
+        write('src/assets/logo.png', Buffer.alloc(200 * 1000));
+        const { exitCode, stdout } = await execa(pathToCommand, ['export']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(stdout, `${path.join('public', 'assets', 'logo.png')} is larger than 100.0 kB so it is not embedded in ${exported}`);
+        proclaim.include(fs.readFileSync(exported, 'utf8'), '<img src="assets/logo.png" alt="Logo">');
+    });
+
+    it('exports a zip of the built files without source maps', async function () {
+        write('public/main.js.map', '{}');
+        const { exitCode, stdout } = await execa(pathToCommand, ['export', '--format', 'zip']);
+        proclaim.strictEqual(exitCode, 0);
+        const zip = exported.replace(/\.html$/, '.zip');
+        proclaim.include(stdout, `exported public to ${zip}`);
+        const files = unzip(zip);
+        proclaim.deepEqual(Object.keys(files).sort(), ['assets/logo.png', 'index.html', 'main.css', 'main.js']);
+        proclaim.strictEqual(files['index.html'], htmlContent);
+        proclaim.strictEqual(files['assets/logo.png'], 'example image');
+        proclaim.notInclude(files['main.js'], 'sourceMappingURL');
+    });
+
+    it('does not zip files left in the public directory by earlier builds', async function () {
+        write('public/main.abcd1234.js', 'console.log(\'old\');');
+        write('public/assets/old-logo.png', Buffer.from('old image'));
+        const { exitCode } = await execa(pathToCommand, ['export', '--format', 'zip']);
+        proclaim.strictEqual(exitCode, 0);
+        const files = unzip(exported.replace(/\.html$/, '.zip'));
+        proclaim.deepEqual(Object.keys(files).sort(), ['assets/logo.png', 'index.html', 'main.css', 'main.js']);
+    });
+
+    it('exits with an error code and exports nothing if a file fails to build', async function () {
+        write('src/main.js', '!@£$%^&*()');
+        const { exitCode, stderr } = await execa(pathToCommand, ['export'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error building src/main.js');
+        proclaim.isFalse(fs.existsSync(exported));
+    });
+
+    it('exits with an error code for an unknown format', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['export', '--format', 'tar'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option --format: expected one of html, zip, found "tar".');
+    });
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+const uniqueTempDir = require('unique-temp-dir');
+const rimraf = require('rimraf');
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// The command line interface under test.
+const pathToCommand = path.resolve(__dirname, '../../index.js');
+
+/**
+ * Move to a new temporary directory to run a test in.
+ * @returns {String} - the directory
+ */
+function createTestDirectory() {
+    const testDirectory = uniqueTempDir({ create: true });
+    process.chdir(testDirectory);
+    return testDirectory;
+}
+
+/**
+ * Delete a temporary test directory.
+ * @param {String} testDirectory
+ */
+function removeTestDirectory(testDirectory) {
+    rimraf.sync(testDirectory);
+}
+
+/**
+ * Write a file to the test directory.
+ * @param {String} file
+ * @param {String|Buffer} contents
+ */
+function write(file, contents) {
+    fs.mkdirSync(path.dirname(path.resolve(process.cwd(), file)), { recursive: true });
+    fs.writeFileSync(path.resolve(process.cwd(), file), contents);
+}
+
+/**
+ * Read a file from the test directory.
+ * @param {String} file
+ * @returns {String}
+ */
+function read(file) {
+    return fs.readFileSync(path.resolve(process.cwd(), file), 'utf8');
+}
+
+/**
+ * Request a url and resolve with the response and its body.
+ * @param {String} url - an http or https url
+ * @param {Object} [options] - request options, e.g. the `ca` to trust
+ * @returns {Promise<{response: http.IncomingMessage, body: String}>}
+ */
+function get(url, options = {}) {
+    const client = url.startsWith('https:') ? https : http;
+    return new Promise((resolve, reject) => {
+        client.get(url, options, response => {
+            let body = '';
+            response.on('data', chunk => {
+                body += chunk.toString('utf8');
+            });
+            response.on('end', () => resolve({ response, body }));
+        }).on('error', reject);
+    });
+}
+
+module.exports = {
+    pathToCommand,
+    createTestDirectory,
+    removeTestDirectory,
+    write,
+    read,
+    get
+};
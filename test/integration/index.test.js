@@ -1,15 +1,15 @@
 /* eslint-env mocha */
 'use strict';
 
-const uniqueTempDir = require('unique-temp-dir');
 const rimraf = require('rimraf');
 const execa = require('execa');
 const path = require('path');
 const fs = require('fs');
 const proclaim = require('proclaim');
 const chokidar = require('chokidar');
+const http = require('http');
 
-const pathToCommand = path.resolve(__dirname, '../../index.js');
+const { pathToCommand, createTestDirectory, removeTestDirectory, get } = require('./helpers');
 
 describe('origami-workshop', function () {
     // Set test timeout time.
@@ -44,10 +44,13 @@ describe('origami-workshop', function () {
      * - end the test with an error if the command throws an error
      *
      * @param {*} done
+     * @param {Object} [options]
+     * @param {Number} [options.timeout] - the timeout of the current test
+     * @param {Array<String>} [options.args] - command line arguments
      */
-    function runCommandUnderTest(done) {
+    function runCommandUnderTest(done, { timeout = testTimeoutTime, args = [] } = {}) {
         // Run the command.
-        subprocess = execa(pathToCommand, {
+        subprocess = execa(pathToCommand, args, {
             all: true
         });
         // Store all command output to log before the test times out.
@@ -57,7 +60,7 @@ describe('origami-workshop', function () {
         });
         logTimeout = setTimeout(() => {
             done(new Error(`Test took too long. Command output:\n\n${commandOutput}`));
-        }, testTimeoutTime - 500);
+        }, timeout - 500);
         // Catch any error from the command and pass as Mocha's `done`
         // callback to avoid unhandled promise rejection.
         subprocess.catch(error => {
@@ -68,19 +71,39 @@ describe('origami-workshop', function () {
         return subprocess;
     }
 
+    /**
+     * Resolve with the url the command under test is serving from.
+     * @param {*} subprocess
+     * @returns {Promise<String>}
+     */
+    function serverUrl(subprocess) {
+        return new Promise(resolve => {
+            let output = '';
+            subprocess.stdout.on('data', function listener(chunk) {
+                output += chunk.toString('utf8');
+                const match = output.match(/http:\/\/localhost:\d+/);
+                if (match) {
+                    subprocess.stdout.off('data', listener);
+                    resolve(match[0]);
+                }
+            });
+        });
+    }
+
     beforeEach(function () {
         // move to a new temporary directory
-        testDirectory = uniqueTempDir({ create: true });
-        process.chdir(testDirectory);
+        testDirectory = createTestDirectory();
     });
 
     afterEach(async function () {
         // The test is done, clear the timeout which logs command output
         // just before a test timeout.
         clearTimeout(logTimeout);
-        // Stop the test command from running.
+        // Stop the test command from running, and wait for it
+        // to exit so it doesn't write to the deleted test directory.
         try {
             subprocess.cancel();
+            await subprocess;
         } catch {}
         // Stop watching for changes in the test directory.
         if (watcher) {
@@ -88,17 +111,21 @@ describe('origami-workshop', function () {
         }
         // Delete temporary test directory.
         process.chdir(process.cwd());
-        rimraf.sync(testDirectory);
+        removeTestDirectory(testDirectory);
     });
 
     it('outputs a localhost url to stdout', function (done) {
         subprocess = runCommandUnderTest(done);
-        subprocess.stdout.on('data', chunk => {
+        // Build status may be output before the url.
+        let output = '';
+        subprocess.stdout.on('data', function listener(chunk) {
+            output += chunk.toString('utf8');
+            if (!output.includes('Your code is running at:')) {
+                return;
+            }
+            subprocess.stdout.off('data', listener);
             try {
-                proclaim.include(
-                    chunk.toString('utf8'),
-                    'Your code is running at: http://localhost'
-                );
+                proclaim.include(output, 'Your code is running at: http://localhost');
             } catch (error) {
                 return done(error);
             }
@@ -106,14 +133,135 @@ describe('origami-workshop', function () {
         });
     });
 
+    it('outputs an https url with the --https flag', function (done) {
+        subprocess = runCommandUnderTest(done, { args: ['--https'] });
+        let output = '';
+        subprocess.stdout.on('data', function listener(chunk) {
+            output += chunk.toString('utf8');
+            if (!output.includes('Browse Origami component demos at:')) {
+                return;
+            }
+            subprocess.stdout.off('data', listener);
+            try {
+                proclaim.include(output, 'Your code is running at: https://localhost');
+                proclaim.include(output, `The HTTPS certificate is self-signed, accept the browser's warning or trust ${path.join('node_modules', '.cache', 'origami-workshop', 'localhost.pem')}`);
+            } catch (error) {
+                return done(error);
+            }
+            done();
+        });
+    });
+
+    context('with configuration', function () {
+        const htmlContent = '<div>test html content</div>';
+
+        beforeEach(function () {
+            fs.writeFileSync(path.resolve(process.cwd(), 'page.html'), htmlContent);
+        });
+
+        it('builds to the output directory from a config file', function (done) {
+            fs.writeFileSync(path.resolve(process.cwd(), 'ow.config.json'), JSON.stringify({
+                html: 'page.html',
+                out: 'site'
+            }));
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('add', (file) => {
+                if(file === path.normalize('site/index.html')) {
+                    done();
+                }
+            });
+        });
+
+        it('builds to the output directory from package.json', function (done) {
+            fs.writeFileSync(path.resolve(process.cwd(), 'package.json'), JSON.stringify({
+                'origami-workshop': { html: 'page.html', out: 'site' }
+            }));
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('add', (file) => {
+                if(file === path.normalize('site/index.html')) {
+                    done();
+                }
+            });
+        });
+
+        it('prefers command line flags to a config file', function (done) {
+            fs.writeFileSync(path.resolve(process.cwd(), 'ow.config.json'), JSON.stringify({
+                out: 'site'
+            }));
+            subprocess = runCommandUnderTest(done, {
+                args: ['--html', 'page.html', '--out', 'flag-site', '--port', '3100']
+            });
+            const url = serverUrl(subprocess);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== path.normalize('flag-site/index.html')) {
+                    return;
+                }
+                try {
+                    proclaim.match(await url, /:31\d\d$/);
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+
+        it('exits with an error for unknown options', async function () {
+            fs.writeFileSync(path.resolve(process.cwd(), 'ow.config.json'), JSON.stringify({
+                colour: 'red'
+            }));
+            subprocess = execa(pathToCommand, { reject: false });
+            const { exitCode, stderr } = await subprocess;
+            proclaim.strictEqual(exitCode, 1);
+            proclaim.include(stderr, 'Unknown option "colour" in ow.config.json');
+        });
+
+        it('exits with an error for invalid command line flags', async function () {
+            subprocess = execa(pathToCommand, ['--port', 'abc'], { reject: false });
+            const { exitCode, stderr } = await subprocess;
+            proclaim.strictEqual(exitCode, 1);
+            proclaim.include(stderr, 'Invalid option --port in command line flags');
+        });
+
+        it('reports build status as json with the json reporter', function (done) {
+            subprocess = runCommandUnderTest(done, { args: ['--reporter', 'json'] });
+            let output = '';
+            subprocess.stdout.on('data', function listener(chunk) {
+                output += chunk.toString('utf8');
+                const events = output.split('\n').slice(0, -1).map(line => JSON.parse(line));
+                const listening = events.find(({ event }) => event === 'server-listening');
+                const built = events.find(({ event, file }) => event === 'build-success' && file === 'page.html');
+                if (!listening || !built) {
+                    return;
+                }
+                subprocess.stdout.off('data', listener);
+                try {
+                    proclaim.match(listening.url, /^http:\/\/localhost:\d+$/);
+                    proclaim.strictEqual(listening.componentsUrl, `${listening.url}/__ow/components`);
+                    proclaim.isNumber(built.duration);
+                    proclaim.deepEqual(built.outputs.map(({ file }) => file), ['public/page.html']);
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+    });
+
     context('with no index.html', function () {
 
         it('outputs a notice', function (done) {
             subprocess = runCommandUnderTest(done);
-            subprocess.all.once('data', chunk => {
+            // Warnings, e.g. from browserslist, may be output before the notice.
+            let output = '';
+            subprocess.all.on('data', function listener(chunk) {
+                output += chunk.toString('utf8');
+                if (!output.includes('! ')) {
+                    return;
+                }
+                subprocess.all.off('data', listener);
                 try {
                     proclaim.include(
-                        chunk.toString('utf8'),
+                        output,
                         '! your web page won\'t be visible until we create index.html'
                     );
                 } catch (error) {
@@ -143,11 +291,13 @@ describe('origami-workshop', function () {
 
         it('copies the html to a public directory', function (done) {
             subprocess = runCommandUnderTest(done);
-            watcher = chokidar.watch('.').on('add', (file) => {
+            watcher = chokidar.watch('.').on('add', async (file) => {
                 if(file !== 'public/index.html') {
                     return;
                 }
                 try {
+                    // the file may be partially written when added
+                    await sleep(100);
                     proclaim.include(fs.readFileSync(file, 'utf8'), htmlContent)
                 } catch (error) {
                     return done(error);
@@ -177,6 +327,44 @@ describe('origami-workshop', function () {
             });
         });
 
+        it('serves the html with a live reload client', function (done) {
+            subprocess = runCommandUnderTest(done);
+            const url = serverUrl(subprocess);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== 'public/index.html') {
+                    return;
+                }
+                try {
+                    const { body } = await get(await url);
+                    proclaim.include(body, htmlContent);
+                    proclaim.include(body, '<script src="/__ow/client.js"></script>');
+                    proclaim.notInclude(body, 'brand-switcher');
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+
+        it('sends a reload event when the html is rebuilt', function (done) {
+            subprocess = runCommandUnderTest(done);
+            const url = serverUrl(subprocess);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== 'public/index.html') {
+                    return;
+                }
+                http.get(`${await url}/__ow/events`, response => {
+                    response.on('data', chunk => {
+                        if (chunk.toString('utf8').includes('event: reload')) {
+                            response.destroy();
+                            done();
+                        }
+                    });
+                    fs.writeFileSync(path.resolve(process.cwd(), 'index.html'), htmlContent);
+                }).on('error', done);
+            });
+        });
+
         context('that is delete', function () {
             it('outputs a notice', function (done) {
                 subprocess = runCommandUnderTest(done);
@@ -195,6 +383,309 @@ describe('origami-workshop', function () {
         })
     });
 
+    context('with several html pages', function () {
+        const htmlContent = '<div>test about page</div>';
+
+        beforeEach(function () {
+            fs.writeFileSync(path.resolve(process.cwd(), 'index.html'), '<div>test html content</div>');
+            fs.mkdirSync(path.resolve(process.cwd(), 'pages'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'pages/about.html'), htmlContent);
+            fs.mkdirSync(path.resolve(process.cwd(), 'node_modules/example'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'node_modules/example/demo.html'), htmlContent);
+        });
+
+        it('copies every page to the public directory', function (done) {
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== path.normalize('public/pages/about.html')) {
+                    return;
+                }
+                try {
+                    // the file may be partially written when added
+                    await sleep(100);
+                    proclaim.include(fs.readFileSync(file, 'utf8'), htmlContent);
+                    proclaim.isFalse(fs.existsSync(path.resolve(process.cwd(), 'public/node_modules')));
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+
+        it('removes a deleted page from the public directory', function (done) {
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('all', (event, file) => {
+                if(file !== path.normalize('public/pages/about.html')) {
+                    return;
+                }
+                if (event === 'add') {
+                    rimraf.sync(path.resolve(process.cwd(), 'pages/about.html'));
+                }
+                if (event === 'unlink') {
+                    done();
+                }
+            });
+        });
+    });
+
+    context('with several Sass and JavaScript entry points', function () {
+        beforeEach(function () {
+            fs.mkdirSync(path.resolve(process.cwd(), 'src'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/main.scss'), 'body { color: red; }');
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/article.scss'), 'article { color: blue; }');
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/main.js'), `console.log('main');`);
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/article.js'), `console.log('article');`);
+            fs.writeFileSync(path.resolve(process.cwd(), 'ow.config.json'), JSON.stringify({
+                sass: ['src/main.scss', 'src/article.scss'],
+                js: ['src/main.js', 'src/article.js']
+            }));
+        });
+
+        it('builds each entry point to the public directory', function (done) {
+            // Sass is built twice.
+            const timeout = 6000;
+            this.timeout(timeout);
+            subprocess = runCommandUnderTest(done, { timeout });
+            const expected = ['main.css', 'article.css', 'main.js', 'article.js']
+                .map(file => path.join('public', file));
+            const built = new Set();
+            watcher = chokidar.watch('.').on('add', (file) => {
+                // Other files may be added once every entry point is built.
+                if (!expected.includes(file) || built.has(file)) {
+                    return;
+                }
+                built.add(file);
+                if (built.size === expected.length) {
+                    done();
+                }
+            });
+        });
+
+        it('exits with an error if entry points build to the same file', async function () {
+            fs.writeFileSync(path.resolve(process.cwd(), 'ow.config.json'), JSON.stringify({
+                js: ['src/main.js', 'lib/main.js']
+            }));
+            subprocess = execa(pathToCommand, { reject: false });
+            const { exitCode, stderr } = await subprocess;
+            proclaim.strictEqual(exitCode, 1);
+            proclaim.include(stderr, 'would both build to main.js');
+        });
+    });
+
+    context('with several brands', function () {
+        beforeEach(function () {
+            fs.mkdirSync(path.resolve(process.cwd(), 'src'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'index.html'), '<html><head><link rel="stylesheet" href="main.css"></head><body></body></html>');
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/main.scss'), '$o-brand: "core" !default; body { content: $o-brand; }');
+            fs.writeFileSync(path.resolve(process.cwd(), 'ow.config.json'), JSON.stringify({
+                brands: ['core', 'internal']
+            }));
+        });
+
+        it('builds Sass for each brand to the public directory', function (done) {
+            // Sass is built twice.
+            const timeout = 6000;
+            this.timeout(timeout);
+            subprocess = runCommandUnderTest(done, { timeout });
+            const expected = ['main.css', 'main.core.css', 'main.internal.css']
+                .map(file => path.join('public', file));
+            const built = new Set();
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if (expected.includes(file)) {
+                    built.add(file);
+                }
+                if (built.size !== expected.length) {
+                    return;
+                }
+                try {
+                    await sleep(100);
+                    proclaim.include(fs.readFileSync('public/main.css', 'utf8'), 'content: "core"');
+                    proclaim.include(fs.readFileSync('public/main.core.css', 'utf8'), 'content: "core"');
+                    proclaim.include(fs.readFileSync('public/main.internal.css', 'utf8'), 'content: "internal"');
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+
+        it('serves the html with a brand switcher', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(async url => {
+                // Wait for the page to be built.
+                while (!fs.existsSync(path.resolve(process.cwd(), 'public/index.html'))) {
+                    await sleep(100);
+                }
+                const { body } = await get(url);
+                proclaim.include(body, '<script src="/__ow/brand-switcher.js" data-brands="core internal" data-stylesheets="main.css"></script>');
+                const { response } = await get(`${url}/__ow/brand-switcher.js`);
+                proclaim.strictEqual(response.statusCode, 200);
+            }).then(() => done(), done);
+        });
+    });
+
+    context('with installed Origami components', function () {
+        const componentDirectory = 'node_modules/@financial-times/o-example';
+        const component = {
+            'package.json': JSON.stringify({ name: '@financial-times/o-example', version: '1.0.0', description: 'An example component.' }),
+            'origami.json': JSON.stringify({
+                origamiType: 'component',
+                demosDefaults: { sass: 'demos/src/demo.scss', js: 'demos/src/demo.js' },
+                demos: [
+                    { name: 'basic', title: 'Basic example', template: '/demos/src/basic.mustache', data: { label: 'Hello' } }
+                ]
+            }),
+            'main.scss': '@mixin oExample() { .o-example { user-select: none; } }',
+            'demos/src/demo.scss': '@import "../../main"; @include oExample();',
+            'demos/src/demo.js': `console.log('o-example demo');`,
+            'demos/src/basic.mustache': '<div class="o-example">{{label}}</div>'
+        };
+
+        beforeEach(function () {
+            for (const [file, contents] of Object.entries(component)) {
+                fs.mkdirSync(path.dirname(path.resolve(componentDirectory, file)), { recursive: true });
+                fs.writeFileSync(path.resolve(componentDirectory, file), contents);
+            }
+            // A package which is not an Origami component.
+            fs.mkdirSync(path.resolve(process.cwd(), 'node_modules/example'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'node_modules/example/package.json'), '{}');
+        });
+
+        it('lists installed components', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(async url => {
+                const { body } = await get(`${url}/__ow/components`);
+                proclaim.include(body, '<a href="/__ow/components/@financial-times/o-example/">@financial-times/o-example</a>');
+                proclaim.include(body, 'An example component.');
+                proclaim.notInclude(body, 'node_modules/example');
+            }).then(() => done(), done);
+        });
+
+        it('lists the demos of a component', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(async url => {
+                const { body } = await get(`${url}/__ow/components/@financial-times/o-example/`);
+                proclaim.include(body, '<a href="basic">Basic example</a>');
+            }).then(() => done(), done);
+        });
+
+        it('serves a demo with its markup to copy', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(async url => {
+                const { body } = await get(`${url}/__ow/components/@financial-times/o-example/basic`);
+                proclaim.include(body, '<div class="o-example">Hello</div>');
+                proclaim.include(body, '&lt;div class=&quot;o-example&quot;&gt;Hello&lt;/div&gt;');
+                proclaim.include(body, '<link rel="stylesheet" href="basic.css">');
+                proclaim.include(body, '<script src="basic.js"></script>');
+            }).then(() => done(), done);
+        });
+
+        it('builds demo Sass and JavaScript', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(async url => {
+                const css = await get(`${url}/__ow/components/@financial-times/o-example/basic.css`);
+                proclaim.strictEqual(css.response.statusCode, 200);
+                proclaim.include(css.body, '.o-example');
+                proclaim.include(css.body, '-webkit-user-select: none;');
+                const js = await get(`${url}/__ow/components/@financial-times/o-example/basic.js`);
+                proclaim.strictEqual(js.response.statusCode, 200);
+                proclaim.include(js.body, 'o-example demo');
+            }).then(() => done(), done);
+        });
+
+        it('responds with not found for packages which are not components', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(async url => {
+                const { response } = await get(`${url}/__ow/components/example/basic`);
+                proclaim.strictEqual(response.statusCode, 404);
+                const malformed = await get(`${url}/__ow/components/%E0%A4%A`);
+                proclaim.strictEqual(malformed.response.statusCode, 404);
+                // The server is still running.
+                const list = await get(`${url}/__ow/components`);
+                proclaim.strictEqual(list.response.statusCode, 200);
+            }).then(() => done(), done);
+        });
+    });
+
+    context('with assets', function () {
+        const assetContent = 'example asset for test';
+
+        beforeEach(function () {
+            fs.mkdirSync(path.resolve(process.cwd(), 'src/assets/images'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/assets/images/logo.svg'), assetContent);
+        });
+
+        it('copies assets to the public directory', function (done) {
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== path.normalize('public/assets/images/logo.svg')) {
+                    return;
+                }
+                try {
+                    // the file may be partially written when added
+                    await sleep(100);
+                    proclaim.strictEqual(fs.readFileSync(file, 'utf8'), assetContent);
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+
+        it('removes a deleted asset from the public directory', function (done) {
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('all', (event, file) => {
+                if(file !== path.normalize('public/assets/images/logo.svg')) {
+                    return;
+                }
+                if (event === 'add') {
+                    rimraf.sync(path.resolve(process.cwd(), 'src/assets/images/logo.svg'));
+                }
+                if (event === 'unlink') {
+                    done();
+                }
+            });
+        });
+
+        it('resolves asset imports in JavaScript to the copied asset', function (done) {
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/main.js'), `import logo from './assets/images/logo.svg'; console.log(logo);`);
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== path.normalize('public/main.js')) {
+                    return;
+                }
+                try {
+                    // the file may be partially written when added
+                    await sleep(100);
+                    proclaim.include(fs.readFileSync(file, 'utf8'), '"/assets/images/logo.svg"');
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+
+        it('resolves url references in Sass partials to the copied asset', function (done) {
+            fs.mkdirSync(path.resolve(process.cwd(), 'src/components'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/main.scss'), `@import 'components/header';`);
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/components/_header.scss'), `.header { background: url('../assets/images/logo.svg'); }`);
+            subprocess = runCommandUnderTest(done);
+            watcher = chokidar.watch('.').on('add', async (file) => {
+                if(file !== path.normalize('public/main.css')) {
+                    return;
+                }
+                try {
+                    // the file may be partially written when added
+                    await sleep(100);
+                    proclaim.include(fs.readFileSync(file, 'utf8'), `url("assets/images/logo.svg")`);
+                } catch (error) {
+                    return done(error);
+                }
+                done();
+            });
+        });
+    });
+
     context('with a valid Sass file', function () {
         const sassContent = `
             $color: red;
@@ -261,8 +752,33 @@ describe('origami-workshop', function () {
             });
         });
 
-        it('rebuilds on change', function (done) {
+        it('sends a css event to served pages when built', function (done) {
             subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(url => {
+                http.get(`${url}/__ow/events`, response => {
+                    // The first build may finish before connecting, so build again.
+                    fs.writeFileSync(path.resolve(process.cwd(), 'src/main.scss'), sassContent);
+                    response.on('data', chunk => {
+                        const message = chunk.toString('utf8');
+                        if (message.includes('event: css')) {
+                            response.destroy();
+                            try {
+                                proclaim.include(message, '"href":"/main.css"');
+                            } catch (error) {
+                                return done(error);
+                            }
+                            done();
+                        }
+                    });
+                }).on('error', done);
+            });
+        });
+
+        it('rebuilds on change', function (done) {
+            // Sass is built twice.
+            const timeout = 6000;
+            this.timeout(timeout);
+            subprocess = runCommandUnderTest(done, { timeout });
             let firstBuild = true;
             watcher = chokidar.watch('.').on('all', (event, file) => {
                 if(file !== 'public/main.css') {
@@ -280,6 +796,43 @@ describe('origami-workshop', function () {
         });
     });
 
+    context('with a Sass file which imports a partial', function () {
+        beforeEach(function () {
+            fs.mkdirSync(path.resolve(process.cwd(), 'src'), { recursive: true });
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/main.scss'), `@import 'buttons';`);
+            fs.writeFileSync(path.resolve(process.cwd(), 'src/_buttons.scss'), `.button { color: red; }`);
+        });
+
+        it('rebuilds when the partial changes', function (done) {
+            // Sass is built twice.
+            const timeout = 6000;
+            this.timeout(timeout);
+            subprocess = runCommandUnderTest(done, { timeout });
+            let firstBuild = true;
+            let rebuilt = false;
+            watcher = chokidar.watch('.').on('all', async (event, file) => {
+                if(file !== 'public/main.css') {
+                    return;
+                }
+                if (event === 'add' && firstBuild) {
+                    firstBuild = false;
+                    // Give the dependency a moment to be watched.
+                    await sleep(200);
+                    fs.writeFileSync(path.resolve(process.cwd(), 'src/_buttons.scss'), `.button { color: blue; }`);
+                    return;
+                }
+                if (event === 'change') {
+                    // the file may be partially written when changed
+                    await sleep(100);
+                    if (!rebuilt && fs.readFileSync(file, 'utf8').includes('color: blue')) {
+                        rebuilt = true;
+                        done();
+                    }
+                }
+            });
+        });
+    });
+
     context('with an invalid Sass file', function () {
         const sassContent = '!@£$%^&*';
 
@@ -296,6 +849,33 @@ describe('origami-workshop', function () {
                 }
             });
         });
+
+        it('sends the error to served pages', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(url => {
+                http.get(`${url}/__ow/events`, response => {
+                    response.on('data', chunk => {
+                        const message = chunk.toString('utf8');
+                        if (!message.includes('event: errors')) {
+                            return;
+                        }
+                        response.destroy();
+                        try {
+                            const { errors } = JSON.parse(message.match(/^data: (.*)$/m)[1]);
+                            proclaim.lengthEquals(errors, 1);
+                            proclaim.strictEqual(errors[0].file, 'src/main.scss');
+                            proclaim.strictEqual(errors[0].line, 1);
+                            proclaim.strictEqual(errors[0].column, 1);
+                            proclaim.isString(errors[0].message);
+                            proclaim.include(errors[0].frame, '> 1 | !@£$');
+                        } catch (error) {
+                            return done(error);
+                        }
+                        done();
+                    });
+                }).on('error', done);
+            });
+        });
     });
 
     context('with a valid JavaScript file', function () {
@@ -362,17 +942,50 @@ describe('origami-workshop', function () {
         it('rebuilds when the main file changes', function (done) {
             subprocess = runCommandUnderTest(done);
             let firstBuild = true;
-            watcher = chokidar.watch('.').on('all', (event, file) => {
+            let rebuilt = false;
+            watcher = chokidar.watch('.').on('all', async (event, file) => {
                 if(file !== 'public/main.js') {
                     return;
                 }
                 if (event === 'add' && firstBuild) {
                     firstBuild = false;
-                    fs.writeFileSync(path.resolve(process.cwd(), 'src/main.js'), jsContentMain);
+                    // esbuild does not write output which has not changed.
+                    fs.writeFileSync(path.resolve(process.cwd(), 'src/main.js'), `${jsContentMain}\nconsole.log('changed');`);
                     return;
                 }
                 if (event === 'change') {
-                    done();
+                    // the file may be partially written when changed
+                    await sleep(100);
+                    if (!rebuilt && fs.readFileSync(file, 'utf8').includes('changed')) {
+                        rebuilt = true;
+                        done();
+                    }
+                }
+            });
+        });
+
+        it('rebuilds when an imported module changes', function (done) {
+            subprocess = runCommandUnderTest(done);
+            let firstBuild = true;
+            let rebuilt = false;
+            watcher = chokidar.watch('.').on('all', async (event, file) => {
+                if(file !== 'public/main.js') {
+                    return;
+                }
+                if (event === 'add' && firstBuild) {
+                    firstBuild = false;
+                    // Give the dependency a moment to be watched.
+                    await sleep(200);
+                    fs.writeFileSync(path.resolve(process.cwd(), 'src/b.js'), `export default 'changed';`);
+                    return;
+                }
+                if (event === 'change') {
+                    // the file may be partially written when changed
+                    await sleep(100);
+                    if (!rebuilt && fs.readFileSync(file, 'utf8').includes('changed')) {
+                        rebuilt = true;
+                        done();
+                    }
                 }
             });
         });
@@ -394,5 +1007,33 @@ describe('origami-workshop', function () {
                 }
             });
         });
+
+        it('sends the error to served pages', function (done) {
+            subprocess = runCommandUnderTest(done);
+            serverUrl(subprocess).then(url => {
+                http.get(`${url}/__ow/events`, response => {
+                    response.on('data', chunk => {
+                        const message = chunk.toString('utf8');
+                        if (!message.includes('event: errors')) {
+                            return;
+                        }
+                        response.destroy();
+                        try {
+                            const { errors } = JSON.parse(message.match(/^data: (.*)$/m)[1]);
+                            // esbuild reports the decorator it can not transpile, then the syntax error.
+                            proclaim.isTrue(errors.length > 0);
+                            proclaim.strictEqual(errors[0].file, 'src/main.js');
+                            proclaim.strictEqual(errors[0].line, 1);
+                            proclaim.strictEqual(errors[0].column, 2);
+                            proclaim.isString(errors[0].message);
+                            proclaim.include(errors[0].frame, '> 1 | !@£$');
+                        } catch (error) {
+                            return done(error);
+                        }
+                        done();
+                    });
+                }).on('error', done);
+            });
+        });
     });
 });
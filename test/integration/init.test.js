@@ -0,0 +1,91 @@
+/* eslint-env mocha */
+'use strict';
+
+const execa = require('execa');
+const path = require('path');
+const fs = require('fs');
+const proclaim = require('proclaim');
+
+const { pathToCommand, createTestDirectory, removeTestDirectory, read } = require('./helpers');
+
+describe('origami-workshop init', function () {
+    // A project is built in some tests.
+    this.timeout(10000);
+    // The directory to run the current test in.
+    let testDirectory;
+
+    beforeEach(function () {
+        // move to a new temporary directory
+        testDirectory = createTestDirectory();
+    });
+
+    afterEach(function () {
+        // Delete temporary test directory.
+        removeTestDirectory(testDirectory);
+    });
+
+    it('creates a starter project then exits', async function () {
+        const { exitCode, stdout } = await execa(pathToCommand, ['init']);
+        proclaim.strictEqual(exitCode, 0);
+        for (const file of ['index.html', 'src/main.scss', 'src/main.js', 'package.json']) {
+            proclaim.include(stdout, `created ${file}`);
+            proclaim.isTrue(fs.existsSync(path.resolve(process.cwd(), file)), `Expected ${file} to be created.`);
+        }
+        proclaim.include(read('index.html'), 'class="core"');
+        proclaim.include(read('index.html'), 'o--if-js');
+        proclaim.include(read('index.html'), 'href="main.css"');
+        proclaim.include(read('index.html'), 'src="main.js"');
+        proclaim.include(read('src/main.scss'), `$system-code: "${path.basename(testDirectory).toLowerCase()}";`);
+        proclaim.include(read('src/main.js'), 'o.DOMContentLoaded');
+        const packageJson = JSON.parse(read('package.json'));
+        proclaim.strictEqual(packageJson.scripts.start, 'ow');
+        proclaim.include(Object.keys(packageJson.devDependencies), '@financial-times/origami-workshop');
+    });
+
+    it('creates a project which builds', async function () {
+        await execa(pathToCommand, ['init']);
+        const { exitCode } = await execa(pathToCommand, ['build']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(read('public/main.css'), 'max-width');
+        proclaim.include(read('public/main.js'), 'o.DOMContentLoaded');
+    });
+
+    it('creates a project from a template', async function () {
+        await execa(pathToCommand, ['init', '--template', 'form']);
+        proclaim.include(read('index.html'), 'o-forms-field');
+        proclaim.include(read('src/main.scss'), '@include oForms();');
+        proclaim.include(read('src/main.js'), '@financial-times/o-forms');
+        proclaim.include(Object.keys(JSON.parse(read('package.json')).dependencies), '@financial-times/o-forms');
+    });
+
+    it('creates files configured with flags', async function () {
+        await execa(pathToCommand, ['init', '--html', 'demo.html', '--sass', 'src/demo.scss', '--js', 'src/demo.js']);
+        proclaim.include(read('demo.html'), 'href="demo.css"');
+        proclaim.include(read('demo.html'), 'src="demo.js"');
+        proclaim.isTrue(fs.existsSync(path.resolve(process.cwd(), 'src/demo.scss')));
+        proclaim.isTrue(fs.existsSync(path.resolve(process.cwd(), 'src/demo.js')));
+    });
+
+    it('exits with an error for an unknown template', async function () {
+        const { exitCode, stderr } = await execa(pathToCommand, ['init', '--template', 'example'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'Invalid option --template');
+    });
+
+    it('does not overwrite existing files', async function () {
+        fs.writeFileSync(path.resolve(process.cwd(), 'index.html'), 'my page');
+        const { exitCode, stderr } = await execa(pathToCommand, ['init'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'index.html already exists');
+        proclaim.include(stderr, '--force');
+        proclaim.strictEqual(read('index.html'), 'my page');
+        proclaim.isFalse(fs.existsSync(path.resolve(process.cwd(), 'src/main.scss')));
+    });
+
+    it('overwrites existing files when forced', async function () {
+        fs.writeFileSync(path.resolve(process.cwd(), 'index.html'), 'my page');
+        const { exitCode } = await execa(pathToCommand, ['init', '--force']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.include(read('index.html'), 'class="core"');
+    });
+});
@@ -0,0 +1,141 @@
+/* eslint-env mocha */
+'use strict';
+
+const rimraf = require('rimraf');
+const execa = require('execa');
+const path = require('path');
+const proclaim = require('proclaim');
+
+const { pathToCommand, createTestDirectory, removeTestDirectory, write } = require('./helpers');
+
+describe('origami-workshop test', function () {
+    // Sass and JavaScript are built in each test.
+    this.timeout(10000);
+    // The directory to run the current test in.
+    let testDirectory;
+    // The test command, when it is left running to watch for changes.
+    let subprocess;
+
+    const htmlContent = '<html class="core"><body><button class="toggle">Show</button><div id="panel" hidden></div><script src="/main.js"></script></body></html>';
+    const jsContent = `document.addEventListener('DOMContentLoaded', () => {
+        document.querySelector('.toggle').addEventListener('click', () => {
+            document.getElementById('panel').hidden = false;
+        });
+    });
+    export const add = (a, b) => a + b;`;
+    const sassContent = '@function double($number) { @return $number * 2; }';
+    const sassTestContent = `@use 'true' as *;
+        @use '../src/maths';
+        @include describe('double') {
+            @include it('doubles a number') {
+                @include assert-equal(maths.double(2), 4);
+            }
+        }`;
+    const jsTestContent = `import { add } from '../src/main.js';
+        describe('page', () => {
+            it('shows the panel when the button is clicked', () => {
+                document.querySelector('.toggle').click();
+                assert.strictEqual(document.getElementById('panel').hidden, false);
+            });
+            it('adds numbers', async () => {
+                await new Promise(resolve => setTimeout(resolve, 10));
+                assert.strictEqual(add(1, 2), 3);
+            });
+        });`;
+
+    beforeEach(function () {
+        // move to a new temporary directory
+        testDirectory = createTestDirectory();
+        write('index.html', htmlContent);
+        write('src/main.js', jsContent);
+        write('src/_maths.scss', sassContent);
+        write('test/maths.test.scss', sassTestContent);
+        write('test/page.test.js', jsTestContent);
+    });
+
+    afterEach(async function () {
+        // Stop the test command if it is watching for changes.
+        if (subprocess) {
+            subprocess.cancel();
+            try {
+                await subprocess;
+            } catch {}
+            subprocess = null;
+        }
+        // Delete temporary test directory.
+        removeTestDirectory(testDirectory);
+    });
+
+    it('runs Sass and JavaScript tests then exits', async function () {
+        const { exitCode, stdout } = await execa(pathToCommand, ['test']);
+        proclaim.strictEqual(exitCode, 0);
+        proclaim.match(stdout, /√ tested test\/maths\.test\.scss in \d+ms, 1 test passed/);
+        proclaim.match(stdout, /√ tested test\/page\.test\.js in \d+ms, 2 tests passed/);
+    });
+
+    it('exits with an error code if a Sass test fails', async function () {
+        write('test/maths.test.scss', sassTestContent.replace('4);', '5);'));
+        const { exitCode, stderr } = await execa(pathToCommand, ['test'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error testing test/maths.test.scss\n 1 of 1 test failed\n × double doubles a number');
+        proclaim.include(stderr, '[number] 5');
+    });
+
+    it('exits with an error code if a JavaScript test fails', async function () {
+        write('src/main.js', jsContent.replace('hidden = false', 'hidden = true'));
+        const { exitCode, stderr } = await execa(pathToCommand, ['test'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error testing test/page.test.js\n 1 of 2 tests failed\n × page shows the panel when the button is clicked');
+    });
+
+    it('reports errors in tests which can not be run', async function () {
+        write('test/maths.test.scss', '@use "true" as *; a { b: $missing; }');
+        const { exitCode, stderr } = await execa(pathToCommand, ['test'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'error testing test/maths.test.scss');
+        proclaim.include(stderr, 'Undefined variable');
+    });
+
+    it('exits with an error code if there are no tests', async function () {
+        rimraf.sync('test');
+        const { exitCode, stderr } = await execa(pathToCommand, ['test'], { reject: false });
+        proclaim.strictEqual(exitCode, 1);
+        proclaim.include(stderr, 'There are no tests.');
+    });
+
+    it('reports test results as json', async function () {
+        write('test/maths.test.scss', sassTestContent.replace('4);', '5);'));
+        const { stdout } = await execa(pathToCommand, ['test', '--reporter', 'json'], { reject: false });
+        const events = stdout.split('\n').map(line => JSON.parse(line));
+        const failure = events.find(({ event, file }) => event === 'build-error' && file === path.join('test', 'maths.test.scss'));
+        proclaim.deepEqual(failure.tests.map(({ name, passed }) => ({ name, passed })), [{ name: 'double doubles a number', passed: false }]);
+        const success = events.find(({ event, file }) => event === 'build-success' && file === path.join('test', 'page.test.js'));
+        proclaim.strictEqual(success.action, 'tested');
+        proclaim.strictEqual(success.tests.length, 2);
+    });
+
+    it('runs tests again when a file they load changes with --watch', function (done) {
+        subprocess = execa(pathToCommand, ['test', '--watch']);
+        subprocess.catch(() => {});
+        let output = '';
+        let changed = false;
+        subprocess.stdout.on('data', chunk => {
+            output += chunk.toString('utf8');
+            if (!changed && output.includes('√ tested test/maths.test.scss') && output.includes('√ tested test/page.test.js')) {
+                changed = true;
+                // Give the watcher time to start watching the files tests load.
+                setTimeout(() => {
+                    output = '';
+                    write('src/_maths.scss', '@function double($number) { @return $number * 3; }');
+                }, 1000);
+            }
+        });
+        subprocess.stderr.on('data', chunk => {
+            if (changed && chunk.toString('utf8').includes('× error testing test/maths.test.scss')) {
+                proclaim.include(output, '- testing test/maths.test.scss');
+                proclaim.notInclude(output, 'test/page.test.js');
+                done();
+            }
+        });
+    });
+});
@@ -0,0 +1,271 @@
+/* eslint-env mocha */
+'use strict';
+
+const path = require('path');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const proclaim = require('proclaim');
+
+const { createTestDirectory, removeTestDirectory, write, get } = require('./helpers');
+
+const { createWorkshop } = require('../../index.js');
+
+describe('createWorkshop', function () {
+    // Sass and JavaScript are built in each test.
+    this.timeout(10000);
+    // The directory to run the current test in.
+    let testDirectory;
+    // The current test workshop.
+    let workshop;
+
+    const htmlContent = '<link rel="stylesheet" href="main.css"><script src="/main.js"></script>';
+    const sassContent = 'body { background: red; }';
+    const jsContent = `console.log('example javascript for test');`;
+
+    /**
+     * Resolve once every file has been built, with the events emitted for each.
+     * @param {Object} workshop
+     * @param {Array<String>} files
+     * @returns {Promise<Object>} - events by file
+     */
+    function built(workshop, files) {
+        return new Promise(resolve => {
+            const results = {};
+            const listener = event => {
+                results[event.file] = event;
+                if (files.every(file => results[file])) {
+                    workshop.events.off('build-success', listener);
+                    workshop.events.off('build-error', listener);
+                    resolve(results);
+                }
+            };
+            workshop.events.on('build-success', listener);
+            workshop.events.on('build-error', listener);
+        });
+    }
+
+    beforeEach(function () {
+        // move to a new temporary directory
+        testDirectory = createTestDirectory();
+        write('index.html', htmlContent);
+        write('src/main.scss', sassContent);
+        write('src/main.js', jsContent);
+    });
+
+    afterEach(async function () {
+        // Stop the workshop so it doesn't write to the deleted test directory.
+        if (workshop) {
+            await workshop.close();
+            workshop = null;
+        }
+        removeTestDirectory(testDirectory);
+    });
+
+    it('builds and serves files, emitting an event for each build', async function () {
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['index.html', 'src/main.scss', 'src/main.js']);
+        const { port, url } = await workshop.start();
+        proclaim.isNumber(port);
+        proclaim.strictEqual(workshop.port, port);
+        proclaim.strictEqual(url, `http://localhost:${port}`);
+        proclaim.strictEqual(workshop.url, url);
+
+        const results = await builds;
+        proclaim.deepEqual(results['src/main.scss'].outputs, [path.join('public', 'main.css')]);
+        proclaim.isNumber(results['src/main.js'].duration);
+        const { body } = await get(`${url}/main.css`);
+        proclaim.include(body, 'background: red;');
+    });
+
+    it('emits build warnings', async function () {
+        write('src/main.scss', '@warn "example warning";');
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['src/main.scss']);
+        await workshop.start();
+        const { 'src/main.scss': result } = await builds;
+        proclaim.strictEqual(result.warnings.length, 1);
+        proclaim.strictEqual(result.warnings[0].message, 'example warning');
+    });
+
+    it('emits the size of built files and how they changed', async function () {
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['src/main.js']);
+        await workshop.start();
+        const { 'src/main.js': first } = await builds;
+        proclaim.strictEqual(first.sizes[0].file, path.join('public', 'main.js'));
+        proclaim.isNull(first.sizes[0].change);
+        const rebuilds = built(workshop, ['src/main.js']);
+        write('src/main.js', `${jsContent}\nconsole.log('${'changed '.repeat(100)}');`);
+        const { 'src/main.js': second } = await rebuilds;
+        proclaim.isTrue(second.sizes[0].change > 0);
+    });
+
+    it('emits warnings for mistakes in html', async function () {
+        write('index.html', '<img src="logo.png">');
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['index.html']);
+        await workshop.start();
+        const { 'index.html': result } = await builds;
+        proclaim.deepEqual(result.warnings.map(({ line, column }) => [line, column]), [[1, 1]]);
+        proclaim.include(result.warnings[0].message, 'has no alt text');
+    });
+
+    it('checks html again when the javascript it needs is imported', async function () {
+        write('index.html', '<div data-o-component="o-tabs"></div>');
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['index.html', 'src/main.js']);
+        await workshop.start();
+        const { 'index.html': result } = await builds;
+        proclaim.include(result.warnings[0].message, 'o-tabs is used but its JavaScript is not imported');
+
+        const checked = built(workshop, ['index.html']);
+        write('node_modules/@financial-times/o-tabs/index.js', 'export default {};');
+        write('src/main.js', `import '@financial-times/o-tabs';`);
+        const { 'index.html': rechecked } = await checked;
+        proclaim.strictEqual(rechecked.action, 'checked');
+        proclaim.deepEqual(rechecked.warnings, []);
+    });
+
+    it('emits build errors without stopping', async function () {
+        write('src/main.js', 'console.log(;');
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['src/main.js']);
+        await workshop.start();
+        const { 'src/main.js': result } = await builds;
+        proclaim.strictEqual(result.action, 'building');
+        proclaim.include(result.error.message, 'Build failed');
+    });
+
+    it('serves mock responses from the mocks directory', async function () {
+        write('mocks/api/articles.json', '[{"title": "Example article"}]');
+        write('mocks/api/missing.js', 'module.exports = { status: 404, delay: 200, body: { error: "Not found" } };');
+        write('mocks/api/search.js', 'module.exports = ({ method, query }) => ({ body: { method, results: [query.q] } });');
+        workshop = createWorkshop({ port: 3200 });
+        const { url } = await workshop.start();
+
+        const articles = await get(`${url}/api/articles`);
+        proclaim.strictEqual(articles.response.statusCode, 200);
+        proclaim.include(articles.response.headers['content-type'], 'application/json');
+        proclaim.deepEqual(JSON.parse(articles.body), [{ title: 'Example article' }]);
+
+        const requested = Date.now();
+        const missing = await get(`${url}/api/missing`);
+        proclaim.strictEqual(missing.response.statusCode, 404);
+        proclaim.isTrue(Date.now() - requested >= 200);
+        proclaim.deepEqual(JSON.parse(missing.body), { error: 'Not found' });
+
+        const search = await get(`${url}/api/search?q=origami`);
+        proclaim.deepEqual(JSON.parse(search.body), { method: 'GET', results: ['origami'] });
+    });
+
+    it('forwards requests to proxied servers', async function () {
+        const backend = http.createServer((request, response) => {
+            response.writeHead(201, { 'Content-Type': 'text/plain' });
+            response.end(`${request.method} ${request.url} ${request.headers.host}`);
+        });
+        await new Promise(resolve => backend.listen(0, resolve));
+        const target = `http://localhost:${backend.address().port}`;
+        try {
+            workshop = createWorkshop({ port: 3200, proxy: { '/api/*': target } });
+            const { url } = await workshop.start();
+            const { response, body } = await get(`${url}/api/articles?page=2`);
+            proclaim.strictEqual(response.statusCode, 201);
+            proclaim.strictEqual(body, `GET /api/articles?page=2 localhost:${backend.address().port}`);
+            const page = await get(`${url}/apis`);
+            proclaim.strictEqual(page.response.statusCode, 404);
+        } finally {
+            backend.close();
+        }
+    });
+
+    it('responds with an error and a notice when a proxied server is down', async function () {
+        workshop = createWorkshop({ port: 3200, proxy: { '/api': 'http://localhost:1' } });
+        const notice = new Promise(resolve => workshop.events.on('notice', event => {
+            if (event.file === '/api/articles') {
+                resolve(event);
+            }
+        }));
+        const { url } = await workshop.start();
+        const { response, body } = await get(`${url}/api/articles`);
+        proclaim.strictEqual(response.statusCode, 502);
+        proclaim.include(body, 'Could not forward /api/articles to http://localhost:1/api/articles');
+        proclaim.include((await notice).message, 'Could not forward /api/articles');
+    });
+
+    it('throws an error for an invalid proxy', function () {
+        proclaim.throws(() => createWorkshop({ proxy: { '/api': 'localhost:8080' } }), /Invalid option "proxy" in options/);
+    });
+
+    it('serves over https with a cached self-signed certificate', async function () {
+        workshop = createWorkshop({ port: 3200, https: true });
+        const listening = new Promise(resolve => workshop.events.once('listening', resolve));
+        const builds = built(workshop, ['src/main.scss']);
+        const { url } = await workshop.start();
+        await builds;
+        proclaim.match(url, /^https:\/\/localhost:\d+$/);
+        const { certificate } = await listening;
+        proclaim.strictEqual(certificate, path.join('node_modules', '.cache', 'origami-workshop', 'localhost.pem'));
+        const cert = fs.readFileSync(certificate, 'utf8');
+        const { body } = await get(`${url}/main.css`, { ca: cert });
+        proclaim.include(body, 'background: red;');
+
+        await workshop.close();
+        workshop = createWorkshop({ port: 3200, https: true });
+        await workshop.start();
+        proclaim.strictEqual(fs.readFileSync(certificate, 'utf8'), cert);
+    });
+
+    it('lists urls on the network with the lan option', async function () {
+        workshop = createWorkshop({ port: 3200, lan: true });
+        const listening = new Promise(resolve => workshop.events.once('listening', resolve));
+        await workshop.start();
+        const { port, networkUrls } = await listening;
+        const addresses = Object.values(os.networkInterfaces())
+            .flat()
+            .filter(({ family, internal }) => (family === 'IPv4' || family === 4) && !internal)
+            .map(({ address }) => address);
+        proclaim.deepEqual(networkUrls, addresses.map(address => `http://${address}:${port}`));
+        const { response } = await get(`http://127.0.0.1:${port}/`);
+        proclaim.strictEqual(response.statusCode, 200);
+    });
+
+    it('stops serving once closed', async function () {
+        workshop = createWorkshop({ port: 3200 });
+        const builds = built(workshop, ['index.html']);
+        const { url } = await workshop.start();
+        await builds;
+        await workshop.close();
+        workshop = null;
+        let error;
+        try {
+            await get(url);
+        } catch (requestError) {
+            error = requestError;
+        }
+        proclaim.strictEqual(error && error.code, 'ECONNREFUSED');
+    });
+
+    it('can not be started twice', async function () {
+        workshop = createWorkshop({ port: 3200 });
+        await workshop.start();
+        let error;
+        try {
+            await workshop.start();
+        } catch (startError) {
+            error = startError;
+        }
+        proclaim.include(error && error.message, 'already been started');
+    });
+
+    it('throws an error for invalid options', function () {
+        proclaim.throws(() => createWorkshop({ port: 'abc' }), /Invalid option "port" in options/);
+    });
+
+    it('prefers options to a config file', function () {
+        write('ow.config.json', JSON.stringify({ out: 'site', port: 3300 }));
+        const { config } = createWorkshop({ out: 'dist' });
+        proclaim.strictEqual(config.out, 'dist');
+        proclaim.strictEqual(config.port, 3300);
+    });
+});